@@ -0,0 +1,9 @@
+/*
+ * Description: CommonJS entry point. The package itself is written as an
+ * ES module and is loaded through require(esm), available without flags
+ * since Node.js 20.19 and 22.12
+ */
+
+const httpresponser = require('./index.js');
+
+Object.assign(exports, httpresponser.default, httpresponser);
@@ -0,0 +1,12 @@
+/*
+ * Description: Type declarations for the CommonJS entry point (index.cjs),
+ * which exposes the named exports and the default export's members together
+ */
+
+type Module = typeof import('./index.js', {
+  with: { 'resolution-mode': 'import' }
+});
+
+declare const httpresponser: Module & Module['default'];
+
+export = httpresponser;
@@ -0,0 +1,1165 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Type declarations for the helpers, the envelope and the
+ * modules in src/
+ */
+
+import type { IncomingMessage, ServerResponse } from 'node:http';
+
+//! Status codes
+
+export type InformationalStatus = 100 | 101 | 102;
+export type SuccessStatus =
+  | 200
+  | 201
+  | 202
+  | 203
+  | 204
+  | 205
+  | 206
+  | 207
+  | 208
+  | 226;
+export type RedirectStatus = 300 | 301 | 302 | 303 | 304 | 307 | 308;
+export type ClientErrorStatus =
+  | 400
+  | 401
+  | 403
+  | 404
+  | 405
+  | 406
+  | 407
+  | 408
+  | 409
+  | 410
+  | 411
+  | 412
+  | 413
+  | 414
+  | 415
+  | 416
+  | 417
+  | 418
+  | 421
+  | 422
+  | 423
+  | 424
+  | 426
+  | 428
+  | 429
+  | 431
+  | 451
+  | 460
+  | 463
+  | 464;
+export type ServerErrorStatus =
+  | 500
+  | 501
+  | 502
+  | 503
+  | 504
+  | 505
+  | 506
+  | 507
+  | 508
+  | 510
+  | 511
+  | 561;
+export type KnownStatus =
+  | InformationalStatus
+  | SuccessStatus
+  | RedirectStatus
+  | ClientErrorStatus
+  | ServerErrorStatus;
+export type ErrorStatus = ClientErrorStatus | ServerErrorStatus;
+
+export type StatusClass =
+  | 'informational'
+  | 'success'
+  | 'redirect'
+  | 'clientError'
+  | 'serverError';
+export type StatusKind =
+  | 'standard'
+  | 'webdav'
+  | 'elb'
+  | 'nginx'
+  | 'cloudflare'
+  | 'iis'
+  | 'custom'
+  | (string & {});
+
+export interface StatusEntry {
+  readonly code: number;
+  readonly name: string;
+  readonly phrase: string;
+  readonly kind: StatusKind;
+  readonly retryable: boolean;
+  readonly class: StatusClass;
+  readonly description: string;
+}
+
+//! Envelope
+
+export type Headers = Record<string, string>;
+
+export interface Response<S extends number = number, D = {}> {
+  status: S;
+  message?: string;
+  stack?: string;
+  errorId?: string;
+  data: D;
+  errors?: ValidationErrorEntry[];
+  meta?: Record<string, unknown>;
+  links?: Links;
+  headers?: Headers;
+}
+
+export interface ProblemDetails<S extends number = number> {
+  type: string;
+  title: string;
+  status: S;
+  detail?: string;
+  instance?: string;
+  headers?: Headers;
+  [extension: string]: unknown;
+}
+
+export interface ProblemOptions {
+  type?: string;
+  title?: string;
+  instance?: string;
+  extensions?: Record<string, unknown>;
+}
+
+export interface HeaderOptions {
+  headers?: Headers;
+  location?: string | URL;
+  retryAfter?: number | Date;
+  authenticate?: string | string[];
+  allow?: string | string[];
+  size?: number;
+  etag?: string;
+  lastModified?: Date | number | string;
+}
+
+export interface LocaleOptions {
+  key?: string;
+  params?: Record<string, unknown>;
+  locale?: string;
+  acceptLanguage?: string;
+}
+
+export interface ResponseOptions<D = unknown>
+  extends ProblemOptions,
+    HeaderOptions,
+    LocaleOptions {
+  message?: string;
+  data?: D;
+  stack?: string | Error;
+  format?: Format;
+  errors?: ValidationErrors | ValidationErrorInput[];
+  meta?: Record<string, unknown>;
+  links?: Links;
+}
+
+export type ProblemFormat<D> = ResponseOptions<D> & { format: 'problem' };
+
+declare const optionsMark: unique symbol;
+//! Options marked by withOptions(), read as options whatever keys they hold
+export type MarkedOptions<O> = O & { readonly [optionsMark]: true };
+
+//! Payload passed in place of the message: neither an Error nor marked options
+export type PlainData<D> = D extends Error | MarkedOptions<unknown> ? never : D;
+
+export declare function withOptions<O extends ResponseOptions<any>>(
+  options: O
+): MarkedOptions<O>;
+
+export interface Helper<S extends number> {
+  <D = {}>(options: ProblemFormat<D>): ProblemDetails<S>;
+  //! A plain object holding only option keys is read as the options
+  <D = {}>(options: ResponseOptions<D>): Response<S, D>;
+  //! Any other plain object in place of the message is the data
+  <D extends object>(data: PlainData<D>): Response<S, D>;
+  <D = {}>(
+    message: string | Error | undefined,
+    data: D | undefined,
+    stack: string | Error | undefined,
+    options: ProblemFormat<D>
+  ): ProblemDetails<S>;
+  <D = {}>(
+    message?: string | Error,
+    data?: D,
+    stack?: string | Error,
+    options?: ResponseOptions<D>
+  ): Response<S, D>;
+}
+
+export type RedirectOptions<D> = ResponseOptions<D> & {
+  location: string | URL;
+};
+
+//! Redirect helpers take the target URL first and send it as Location
+export interface RedirectHelper<S extends number> {
+  <D = {}>(options: RedirectOptions<D>): Response<S, D>;
+  <D = {}>(
+    url: string | URL,
+    message?: string | Error | ResponseOptions<D>,
+    data?: D,
+    stack?: string | Error,
+    options?: ResponseOptions<D>
+  ): Response<S, D>;
+}
+
+//! Options of methodNotAllowed(), which cannot be sent without Allow
+export type AllowOptions<O> = O & { allow: string | string[] };
+
+export interface MethodNotAllowedHelper {
+  <D = {}>(options: AllowOptions<ProblemFormat<D>>): ProblemDetails<405>;
+  <D = {}>(options: AllowOptions<ResponseOptions<D>>): Response<405, D>;
+  <D = {}>(
+    message: string | Error | undefined,
+    data: D | undefined,
+    stack: string | Error | undefined,
+    options: AllowOptions<ProblemFormat<D>>
+  ): ProblemDetails<405>;
+  <D = {}>(
+    message: string | Error | undefined,
+    data: D | undefined,
+    stack: string | Error | undefined,
+    options: AllowOptions<ResponseOptions<D>>
+  ): Response<405, D>;
+}
+
+export declare function response<S extends number, D = {}>(
+  status: S,
+  message?: string | Error | ResponseOptions<D> | object,
+  data?: D,
+  stack?: string | Error,
+  options?: ResponseOptions<D>
+): Response<S, D> | ProblemDetails<S>;
+
+//! Settings
+
+export type Format = 'envelope' | 'problem';
+export type StackPolicy = 'include' | 'omit' | 'redact';
+export type MessageCatalog =
+  | Partial<Record<number, string>>
+  | ((status: number) => string | undefined | null);
+
+export interface Settings {
+  messages: MessageCatalog;
+  format: Format;
+  stack: StackPolicy | null;
+  strict: boolean;
+  locale: string;
+  authenticate: string | string[];
+  logger: (errorId: string, stack: string) => void;
+}
+
+export declare function configure(options?: Partial<Settings>): Settings;
+
+//! Localized messages
+
+export interface Messages {
+  [key: string]: string | Messages;
+}
+
+export declare function addMessages(
+  locale: string,
+  messages: Messages
+): Record<string, string>;
+export declare function locales(): string[];
+export declare function resolveLocale(acceptLanguage?: string): string;
+export declare function withLocale<T>(locale: string, fn: () => T): T;
+export declare function translate(
+  key: string,
+  params?: Record<string, unknown>,
+  locale?: string
+): string | undefined;
+
+//! Status registry
+
+export declare const statuses: readonly StatusEntry[];
+export declare function getStatus(
+  codeOrName: number | string
+): StatusEntry | undefined;
+
+//! Validation errors
+
+export type ErrorPath = string | ReadonlyArray<string | number>;
+
+export interface ValidationErrorEntry {
+  field: string;
+  pointer: string;
+  code?: string;
+  message?: string;
+}
+
+export interface ValidationErrorInput {
+  field?: string;
+  pointer?: string;
+  path?: ErrorPath;
+  code?: string;
+  message?: string;
+}
+
+export declare class ValidationErrors {
+  constructor(entries?: ValidationErrorInput[]);
+  entries: ValidationErrorEntry[];
+  readonly length: number;
+  add(path: ErrorPath, code?: string, message?: string): this;
+  add(entry: ValidationErrorInput): this;
+  merge(errors: ValidationErrors | ValidationErrorInput[]): this;
+  isEmpty(): boolean;
+  toArray(): ValidationErrorEntry[];
+  toJSON(): ValidationErrorEntry[];
+}
+
+export declare function validationErrors(
+  entries?: ValidationErrorInput[]
+): ValidationErrors;
+export declare function fromJoi(error: {
+  details: ReadonlyArray<{
+    path: ReadonlyArray<string | number>;
+    type: string;
+    message: string;
+  }>;
+}): ValidationErrors;
+export declare function fromZod(error: {
+  issues: ReadonlyArray<{
+    path: ReadonlyArray<string | number>;
+    code: string;
+    message: string;
+  }>;
+}): ValidationErrors;
+export declare function fromAjv(
+  errors: ReadonlyArray<{
+    instancePath?: string;
+    dataPath?: string;
+    keyword: string;
+    params?: Record<string, unknown>;
+    message?: string;
+  }>
+): ValidationErrors;
+
+//! Asynchronous jobs
+
+export type JobState = 'pending' | 'done' | 'failed';
+
+export interface Job {
+  id: string;
+  state: JobState;
+  createdAt: string;
+  updatedAt: string;
+  location?: string;
+  error?: Response | ProblemDetails | Record<string, unknown>;
+}
+
+export interface JobStore {
+  get(id: string): Promise<Job | undefined> | Job | undefined;
+  set(id: string, job: Job): Promise<void> | void;
+}
+
+export declare class MemoryJobStore implements JobStore {
+  jobs: Map<string, Job>;
+  get(id: string): Promise<Job | undefined>;
+  set(id: string, job: Job): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+export interface JobsOptions {
+  store?: JobStore;
+  url?: string | ((id: string) => string);
+  retryAfter?: number | Date;
+}
+
+export type PublicJob = Omit<Job, 'error'>;
+
+export declare class Jobs {
+  constructor(options?: JobsOptions);
+  store: JobStore;
+  retryAfter: number | Date;
+  url(id: string): string;
+  create(
+    options?: ResponseOptions<PublicJob> & { id?: string }
+  ): Promise<Response<202, PublicJob>>;
+  complete(id: string, location: string | URL): Promise<Job>;
+  fail(id: string, err: unknown): Promise<Job>;
+  run(
+    task: (job: { id: string }) => Promise<string | URL> | string | URL,
+    options?: ResponseOptions<PublicJob> & { id?: string }
+  ): Promise<Response<202, PublicJob>>;
+  poll(
+    id: string
+  ): Promise<
+    | Response<200 | 303, PublicJob>
+    | Response<404>
+    | Response
+    | ProblemDetails
+    | Record<string, unknown>
+  >;
+}
+
+export declare function createJobs(options?: JobsOptions): Jobs;
+
+//! Conditional requests
+
+export interface ConditionalRequest {
+  method?: string;
+  headers?: globalThis.Headers | Record<string, string | string[] | undefined>;
+}
+
+export interface PreconditionOptions {
+  etag?: string;
+  lastModified?: Date | number | string;
+  exists?: boolean;
+  required?: boolean;
+}
+
+export interface ConditionalOptions<D = unknown>
+  extends ResponseOptions<D>,
+    PreconditionOptions {
+  weak?: boolean;
+}
+
+export declare function etag(
+  data: unknown,
+  options?: { weak?: boolean }
+): string;
+export declare function preconditions(
+  request: ConditionalRequest,
+  options?: PreconditionOptions
+): Response<304 | 412 | 428> | ProblemDetails<412 | 428> | null;
+export declare function conditional<D>(
+  request: ConditionalRequest,
+  data: D,
+  options?: ConditionalOptions<D>
+): Response<200, D> | Response<304 | 412 | 428> | ProblemDetails<412 | 428>;
+
+//! Collections
+
+export interface Links {
+  self?: string | null;
+  first?: string | null;
+  prev?: string | null;
+  next?: string | null;
+  last?: string | null;
+}
+
+export interface PageOptions extends ResponseOptions {
+  page?: number;
+  pageSize: number;
+  total?: number;
+  url?: string;
+  pageParam?: string;
+  pageSizeParam?: string;
+}
+
+export interface PageMeta {
+  page: number;
+  pageSize: number;
+  count: number;
+  total?: number;
+  totalPages?: number;
+}
+
+export interface CursorOptions extends ResponseOptions {
+  cursor?: string | null;
+  nextCursor?: string | null;
+  prevCursor?: string | null;
+  limit?: number;
+  url?: string;
+  cursorParam?: string;
+  limitParam?: string;
+}
+
+export interface CursorMeta {
+  cursor: string | null;
+  nextCursor: string | null;
+  prevCursor: string | null;
+  limit?: number;
+  count: number;
+  hasMore: boolean;
+}
+
+export interface RangeOptions extends ResponseOptions {
+  start?: number;
+  total?: number;
+  unit?: string;
+  limit?: number;
+  url?: string;
+  offsetParam?: string;
+  limitParam?: string;
+}
+
+export interface RangeMeta {
+  start: number;
+  end?: number;
+  count: number;
+  total?: number;
+}
+
+export type Collection<S extends number, T, M> = Response<S, T[]> & {
+  meta: M;
+};
+
+export declare function paginated<T>(
+  items: T[],
+  options: PageOptions
+): Collection<200, T, PageMeta>;
+export declare function cursorPaginated<T>(
+  items: T[],
+  options?: CursorOptions
+): Collection<200, T, CursorMeta>;
+export declare function ranged<T>(
+  items: T[],
+  options?: RangeOptions
+): Collection<200 | 206, T, RangeMeta> | Response<416>;
+
+//! Predicates
+
+export type StatusLike = number | { status: number } | Record<string, unknown>;
+
+export declare function isInformational(value: StatusLike): boolean;
+export declare function isSuccess(value: StatusLike): boolean;
+export declare function isRedirect(value: StatusLike): boolean;
+export declare function isClientError(value: StatusLike): boolean;
+export declare function isServerError(value: StatusLike): boolean;
+export declare function isRetryable(value: StatusLike): boolean;
+
+//! Custom statuses
+
+export interface StatusDefinition<S extends number = number> {
+  code: S;
+  name: string;
+  phrase: string;
+  description?: string;
+  kind?: string;
+  retryable?: boolean;
+  byCode?: boolean;
+}
+
+export declare function registerStatus<S extends number>(
+  definition: StatusDefinition<S>
+): Helper<S>;
+
+export interface StatusPacks {
+  nginx: {
+    noResponse: Helper<444>;
+    requestHeaderTooLarge: Helper<494>;
+    sslCertificateError: Helper<495>;
+    sslCertificateRequired: Helper<496>;
+    httpRequestSentToHttpsPort: Helper<497>;
+    clientClosedRequest: Helper<499>;
+  };
+  cloudflare: {
+    webServerUnknownError: Helper<520>;
+    webServerDown: Helper<521>;
+    connectionTimedOut: Helper<522>;
+    originUnreachable: Helper<523>;
+    timeoutOccurred: Helper<524>;
+    sslHandshakeFailed: Helper<525>;
+    invalidSslCertificate: Helper<526>;
+    railgunError: Helper<527>;
+  };
+  iis: {
+    loginTimeout: Helper<440>;
+    retryWith: Helper<449>;
+    iisRedirect: Helper<451>;
+  };
+}
+export type StatusPack = keyof StatusPacks;
+
+export declare const statusPacks: Record<
+  StatusPack,
+  readonly StatusDefinition[]
+>;
+export declare function registerPack<P extends StatusPack>(
+  pack: P
+): StatusPacks[P];
+
+//! Problem Details
+
+export declare const problemContentType: 'application/problem+json';
+export declare function toProblem<S extends number>(
+  envelope: Response<S, unknown>,
+  options?: ProblemOptions
+): ProblemDetails<S>;
+
+//! Errors
+
+export interface HttpErrorOptions<D = unknown> extends ResponseOptions<D> {
+  cause?: unknown;
+}
+
+//! First argument of HttpError and its factories, the same forms as the helpers'
+export type HttpErrorMessage<D = unknown> =
+  | string
+  | Error
+  | HttpErrorOptions<D>
+  | object;
+
+export declare class HttpError<
+  S extends number = number,
+  D = unknown
+> extends Error {
+  constructor(
+    status: S,
+    message?: HttpErrorMessage<D>,
+    data?: D,
+    options?: HttpErrorOptions<D>
+  );
+  name: 'HttpError';
+  status: S;
+  data: D;
+  options: HttpErrorOptions<D>;
+  toResponse(options?: ResponseOptions<D>): Response<S, D> | ProblemDetails<S>;
+  toJSON(): Response<S, D> | ProblemDetails<S>;
+}
+
+export type HttpErrorFactory<S extends number> = <D = unknown>(
+  message?: HttpErrorMessage<D>,
+  data?: D,
+  options?: HttpErrorOptions<D>
+) => HttpError<S, D>;
+
+export interface MethodNotAllowedFactory {
+  <D = unknown>(options: AllowOptions<HttpErrorOptions<D>>): HttpError<405, D>;
+  <D = unknown>(
+    message: string | Error | undefined,
+    data: D | undefined,
+    options: AllowOptions<HttpErrorOptions<D>>
+  ): HttpError<405, D>;
+}
+
+export declare const httpErrors: {
+  badRequest: HttpErrorFactory<400>;
+  unauthorized: HttpErrorFactory<401>;
+  forbidden: HttpErrorFactory<403>;
+  notFound: HttpErrorFactory<404>;
+  methodNotAllowed: MethodNotAllowedFactory;
+  notAcceptable: HttpErrorFactory<406>;
+  proxyAuthenticationRequired: HttpErrorFactory<407>;
+  requestTimeout: HttpErrorFactory<408>;
+  conflict: HttpErrorFactory<409>;
+  gone: HttpErrorFactory<410>;
+  lengthRequired: HttpErrorFactory<411>;
+  preconditionFailed: HttpErrorFactory<412>;
+  payloadTooLarge: HttpErrorFactory<413>;
+  uriTooLong: HttpErrorFactory<414>;
+  unsupportedMediaType: HttpErrorFactory<415>;
+  rangeNotSatisfiable: HttpErrorFactory<416>;
+  expectationFailed: HttpErrorFactory<417>;
+  teapot: HttpErrorFactory<418>;
+  misdirectedRequest: HttpErrorFactory<421>;
+  unprocessableContent: HttpErrorFactory<422>;
+  locked: HttpErrorFactory<423>;
+  failedDependency: HttpErrorFactory<424>;
+  upgradeRequired: HttpErrorFactory<426>;
+  preconditionRequired: HttpErrorFactory<428>;
+  tooManyRequests: HttpErrorFactory<429>;
+  requestHeaderFieldsTooLarge: HttpErrorFactory<431>;
+  unavailableForLegalReasons: HttpErrorFactory<451>;
+  error: HttpErrorFactory<500>;
+  notImplemented: HttpErrorFactory<501>;
+  badGateway: HttpErrorFactory<502>;
+  serviceUnavailable: HttpErrorFactory<503>;
+  gatewayTimeout: HttpErrorFactory<504>;
+  httpVersionNotSupported: HttpErrorFactory<505>;
+  variantAlsoNegotiates: HttpErrorFactory<506>;
+  insufficientStorage: HttpErrorFactory<507>;
+  loopDetected: HttpErrorFactory<508>;
+  notExtended: HttpErrorFactory<510>;
+  networkAuthenticationRequired: HttpErrorFactory<511>;
+  http460: HttpErrorFactory<460>;
+  http463: HttpErrorFactory<463>;
+  http464: HttpErrorFactory<464>;
+  http561: HttpErrorFactory<561>;
+};
+
+export declare function createError<S extends number, D = unknown>(
+  status: S,
+  message?: HttpErrorMessage<D>,
+  data?: D,
+  options?: HttpErrorOptions<D>
+): HttpError<S, D>;
+export declare function isHttpError(value: unknown): value is HttpError;
+
+//! Upstream responses
+
+export interface ParsedResponse<D = unknown> {
+  status: number;
+  message?: string;
+  data: D;
+}
+
+export interface RawResponse {
+  status: number;
+  body?: unknown;
+  headers?: Record<string, string | string[] | undefined>;
+}
+
+export declare function fromResponse<D = unknown>(
+  input: globalThis.Response | IncomingMessage | RawResponse
+): Promise<ParsedResponse<D>>;
+export declare function fromResponse<D = unknown>(
+  status: number,
+  body?: unknown
+): Promise<ParsedResponse<D>>;
+
+//! Custom envelopes
+
+export interface ResponserOptions {
+  keys?: Partial<
+    Record<
+      | 'status'
+      | 'success'
+      | 'message'
+      | 'stack'
+      | 'errorId'
+      | 'data'
+      | 'timestamp'
+      | 'requestId'
+      | 'path',
+      string
+    >
+  >;
+  success?: boolean;
+  timestamp?: boolean | (() => string);
+  requestId?: string | ((req: IncomingMessage) => string | undefined);
+  path?: string | ((req: IncomingMessage) => string | undefined);
+  emptyData?: 'object' | 'null' | 'omit';
+  transform?: (
+    envelope: Record<string, unknown>,
+    original: Response | ProblemDetails
+  ) => Record<string, unknown>;
+}
+
+export type Responser = {
+  shape(
+    envelope: Response | ProblemDetails,
+    req?: IncomingMessage
+  ): Record<string, unknown>;
+  response(...args: Parameters<typeof response>): Record<string, unknown>;
+} & {
+  [K in HelperName]: (
+    ...args: Parameters<Helpers[K]> | [ResponseOptions] | [object]
+  ) => Record<string, unknown>;
+};
+
+export declare function createResponser(options?: ResponserOptions): Responser;
+
+//! WebDAV
+
+export type DavProperty =
+  | string
+  | number
+  | boolean
+  | null
+  | undefined
+  | DavProperties
+  | DavProperty[];
+export interface DavProperties {
+  [name: string]: DavProperty;
+}
+
+export interface DavStatusEntry {
+  href: string | string[];
+  status: number;
+  error?: DavProperties;
+  description?: string;
+}
+
+export interface DavPropstatEntry {
+  href: string;
+  propstat: Array<{ prop: DavProperties; status: number }>;
+  description?: string;
+}
+
+export interface MultiStatusJSON {
+  responses: Array<DavStatusEntry | DavPropstatEntry>;
+  description?: string;
+}
+
+export interface MultiStatusOptions {
+  namespaces?: Record<string, string>;
+  description?: string;
+}
+
+export declare class MultiStatus {
+  constructor(options?: MultiStatusOptions);
+  namespaces: Record<string, string>;
+  description?: string;
+  responses: Array<DavStatusEntry | DavPropstatEntry>;
+  status(
+    href: string | string[],
+    status: number,
+    options?: { error?: DavProperties; description?: string }
+  ): this;
+  propstat(
+    href: string,
+    props: DavProperties,
+    status?: number,
+    options?: { description?: string }
+  ): this;
+  alreadyReported(
+    href: string | string[],
+    options?: { error?: DavProperties; description?: string }
+  ): this;
+  toJSON(): MultiStatusJSON;
+  toXML(): string;
+  toResponse(
+    message?: string,
+    options?: ResponseOptions<MultiStatusJSON>
+  ): Response<207, MultiStatusJSON>;
+  send<R extends ServerResponse>(res: R, options?: SendOptions): R;
+}
+
+export declare function createMultiStatus(
+  options?: MultiStatusOptions
+): MultiStatus;
+
+//! OpenAPI
+
+export interface OpenApiOptions {
+  codes?: Array<number | string>;
+  format?: Format;
+}
+
+export interface OpenApiComponents {
+  responses: Record<string, Record<string, unknown>>;
+  schemas: Record<string, Record<string, unknown>>;
+}
+
+export declare function openApiComponents(
+  options?: OpenApiOptions
+): OpenApiComponents;
+
+//! Content negotiation
+
+export interface Serialized {
+  status: number;
+  headers: Record<string, string | number | string[]>;
+  body: string;
+}
+
+export declare function serialize(
+  envelope: Response | ProblemDetails | Record<string, unknown>,
+  accept?: string,
+  options?: Pick<LocaleOptions, 'locale' | 'acceptLanguage'>
+): Serialized;
+
+//! node:http and Express/Connect
+
+export interface SendOptions {
+  method?: string;
+  body?: string | Buffer;
+  contentType?: string;
+  accept?: string;
+  locale?: string;
+  acceptLanguage?: string;
+}
+
+export interface NegotiateOptions {
+  negotiate?: boolean;
+  localize?: boolean;
+}
+
+export declare function send<R extends ServerResponse>(
+  res: R,
+  envelope: Response | ProblemDetails | Record<string, unknown>,
+  options?: SendOptions
+): R;
+
+export declare function toWebResponse(
+  envelope: Response | ProblemDetails | Record<string, unknown>,
+  options?: Omit<SendOptions, 'body'> & { body?: BodyInit | null }
+): globalThis.Response;
+
+export type Middleware = (
+  req: IncomingMessage,
+  res: ServerResponse,
+  next: (err?: unknown) => void
+) => void;
+export type ErrorMiddleware = (
+  err: unknown,
+  req: IncomingMessage,
+  res: ServerResponse,
+  next: (err?: unknown) => void
+) => void;
+
+export declare function responser(
+  instance?: Responser,
+  options?: NegotiateOptions
+): Middleware;
+export declare function responser(options: NegotiateOptions): Middleware;
+export declare function errorHandler(
+  options?: ResponseOptions & NegotiateOptions & { responser?: Responser }
+): ErrorMiddleware;
+
+//! Helpers
+
+//! Informational responses (100-199)
+
+/** 100 Continue */
+export declare const continueResponse: Helper<100>;
+/** 101 Switching Protocols */
+export declare const switchingProtocols: Helper<101>;
+/** 102 Processing */
+export declare const processing: Helper<102>;
+
+//! Successful responses (200-299)
+
+/** 200 OK */
+export declare const success: Helper<200>;
+/** 201 Created */
+export declare const created: Helper<201>;
+/** 202 Accepted */
+export declare const accepted: Helper<202>;
+/** 203 Non-Authoritative Information */
+export declare const nonAuthoritativeInfo: Helper<203>;
+/** 204 No Content */
+export declare const noContent: Helper<204>;
+/** 205 Reset Content */
+export declare const resetContent: Helper<205>;
+/** 206 Partial Content */
+export declare const partialContent: Helper<206>;
+/** 207 Multi-Status */
+export declare const multiStatus: Helper<207>;
+/** 208 Already Reported */
+export declare const alreadyReported: Helper<208>;
+/** 226 IM Used */
+export declare const imUsed: Helper<226>;
+
+//! Redirection messages (300-399)
+
+/** 300 Multiple Choices */
+export declare const multipleChoices: Helper<300>;
+/** 301 Moved Permanently */
+export declare const movedPermanently: RedirectHelper<301>;
+/** 302 Found */
+export declare const found: RedirectHelper<302>;
+/** 303 See Other */
+export declare const seeOther: RedirectHelper<303>;
+/** 304 Not Modified */
+export declare const notModified: Helper<304>;
+/** 307 Temporary Redirect */
+export declare const temporaryRedirect: RedirectHelper<307>;
+/** 308 Permanent Redirect */
+export declare const permanentRedirect: RedirectHelper<308>;
+
+//! Client error responses (400-499)
+
+/** 400 Bad Request */
+export declare const badRequest: Helper<400>;
+/** 401 Unauthorized */
+export declare const unauthorized: Helper<401>;
+/** 403 Forbidden */
+export declare const forbidden: Helper<403>;
+/** 404 Not Found */
+export declare const notFound: Helper<404>;
+/** 405 Method Not Allowed */
+export declare const methodNotAllowed: MethodNotAllowedHelper;
+/** 406 Not Acceptable */
+export declare const notAcceptable: Helper<406>;
+/** 407 Proxy Authentication Required */
+export declare const proxyAuthenticationRequired: Helper<407>;
+/** 408 Request Timeout */
+export declare const requestTimeout: Helper<408>;
+/** 409 Conflict */
+export declare const conflict: Helper<409>;
+/** 410 Gone */
+export declare const gone: Helper<410>;
+/** 411 Length Required */
+export declare const lengthRequired: Helper<411>;
+/** 412 Precondition Failed */
+export declare const preconditionFailed: Helper<412>;
+/** 413 Payload Too Large */
+export declare const payloadTooLarge: Helper<413>;
+/** 414 URI Too Long */
+export declare const uriTooLong: Helper<414>;
+/** 415 Unsupported Media Type */
+export declare const unsupportedMediaType: Helper<415>;
+/** 416 Range Not Satisfiable */
+export declare const rangeNotSatisfiable: Helper<416>;
+/** 417 Expectation Failed */
+export declare const expectationFailed: Helper<417>;
+/** 418 I'm a teapot */
+export declare const teapot: Helper<418>;
+/** 421 Misdirected Request */
+export declare const misdirectedRequest: Helper<421>;
+/** 422 Unprocessable Content */
+export declare const unprocessableContent: Helper<422>;
+/** 423 Locked */
+export declare const locked: Helper<423>;
+/** 424 Failed Dependency */
+export declare const failedDependency: Helper<424>;
+/** 426 Upgrade Required */
+export declare const upgradeRequired: Helper<426>;
+/** 428 Precondition Required */
+export declare const preconditionRequired: Helper<428>;
+/** 429 Too Many Requests */
+export declare const tooManyRequests: Helper<429>;
+/** 431 Request Header Fields Too Large */
+export declare const requestHeaderFieldsTooLarge: Helper<431>;
+/** 451 Unavailable For Legal Reasons */
+export declare const unavailableForLegalReasons: Helper<451>;
+
+//! Server error responses (500-599)
+
+/** 500 Internal Server Error */
+export declare const error: Helper<500>;
+/** 501 Not Implemented */
+export declare const notImplemented: Helper<501>;
+/** 502 Bad Gateway */
+export declare const badGateway: Helper<502>;
+/** 503 Service Unavailable */
+export declare const serviceUnavailable: Helper<503>;
+/** 504 Gateway Timeout */
+export declare const gatewayTimeout: Helper<504>;
+/** 505 HTTP Version Not Supported */
+export declare const httpVersionNotSupported: Helper<505>;
+/** 506 Variant Also Negotiates */
+export declare const variantAlsoNegotiates: Helper<506>;
+/** 507 Insufficient Storage */
+export declare const insufficientStorage: Helper<507>;
+/** 508 Loop Detected */
+export declare const loopDetected: Helper<508>;
+/** 510 Not Extended */
+export declare const notExtended: Helper<510>;
+/** 511 Network Authentication Required */
+export declare const networkAuthenticationRequired: Helper<511>;
+
+//! AWS Elastic Load Balancer
+
+/** 460 Client Closed Connection */
+export declare const http460: Helper<460>;
+/** 463 Too Many Forwarded IP Addresses */
+export declare const http463: Helper<463>;
+/** 464 Incompatible Protocol Versions */
+export declare const http464: Helper<464>;
+/** 561 Unauthorized */
+export declare const http561: Helper<561>;
+
+export interface Helpers {
+  continueResponse: typeof continueResponse;
+  switchingProtocols: typeof switchingProtocols;
+  processing: typeof processing;
+  success: typeof success;
+  created: typeof created;
+  accepted: typeof accepted;
+  nonAuthoritativeInfo: typeof nonAuthoritativeInfo;
+  noContent: typeof noContent;
+  resetContent: typeof resetContent;
+  partialContent: typeof partialContent;
+  multiStatus: typeof multiStatus;
+  alreadyReported: typeof alreadyReported;
+  imUsed: typeof imUsed;
+  multipleChoices: typeof multipleChoices;
+  movedPermanently: typeof movedPermanently;
+  found: typeof found;
+  seeOther: typeof seeOther;
+  notModified: typeof notModified;
+  temporaryRedirect: typeof temporaryRedirect;
+  permanentRedirect: typeof permanentRedirect;
+  badRequest: typeof badRequest;
+  unauthorized: typeof unauthorized;
+  forbidden: typeof forbidden;
+  notFound: typeof notFound;
+  methodNotAllowed: typeof methodNotAllowed;
+  notAcceptable: typeof notAcceptable;
+  proxyAuthenticationRequired: typeof proxyAuthenticationRequired;
+  requestTimeout: typeof requestTimeout;
+  conflict: typeof conflict;
+  gone: typeof gone;
+  lengthRequired: typeof lengthRequired;
+  preconditionFailed: typeof preconditionFailed;
+  payloadTooLarge: typeof payloadTooLarge;
+  uriTooLong: typeof uriTooLong;
+  unsupportedMediaType: typeof unsupportedMediaType;
+  rangeNotSatisfiable: typeof rangeNotSatisfiable;
+  expectationFailed: typeof expectationFailed;
+  teapot: typeof teapot;
+  misdirectedRequest: typeof misdirectedRequest;
+  unprocessableContent: typeof unprocessableContent;
+  locked: typeof locked;
+  failedDependency: typeof failedDependency;
+  upgradeRequired: typeof upgradeRequired;
+  preconditionRequired: typeof preconditionRequired;
+  tooManyRequests: typeof tooManyRequests;
+  requestHeaderFieldsTooLarge: typeof requestHeaderFieldsTooLarge;
+  unavailableForLegalReasons: typeof unavailableForLegalReasons;
+  error: typeof error;
+  notImplemented: typeof notImplemented;
+  badGateway: typeof badGateway;
+  serviceUnavailable: typeof serviceUnavailable;
+  gatewayTimeout: typeof gatewayTimeout;
+  httpVersionNotSupported: typeof httpVersionNotSupported;
+  variantAlsoNegotiates: typeof variantAlsoNegotiates;
+  insufficientStorage: typeof insufficientStorage;
+  loopDetected: typeof loopDetected;
+  notExtended: typeof notExtended;
+  networkAuthenticationRequired: typeof networkAuthenticationRequired;
+  http460: typeof http460;
+  http463: typeof http463;
+  http464: typeof http464;
+  http561: typeof http561;
+}
+export type HelperName = keyof Helpers;
+
+declare const httpresponser: {
+  response: typeof response;
+  withOptions: typeof withOptions;
+  send: typeof send;
+  responser: typeof responser;
+  errorHandler: typeof errorHandler;
+  createResponser: typeof createResponser;
+  HttpError: typeof HttpError;
+  createError: typeof createError;
+  httpErrors: typeof httpErrors;
+  isHttpError: typeof isHttpError;
+  toProblem: typeof toProblem;
+  problemContentType: typeof problemContentType;
+  configure: typeof configure;
+  statuses: typeof statuses;
+  getStatus: typeof getStatus;
+  registerStatus: typeof registerStatus;
+  registerPack: typeof registerPack;
+  statusPacks: typeof statusPacks;
+  fromResponse: typeof fromResponse;
+  isInformational: typeof isInformational;
+  isSuccess: typeof isSuccess;
+  isRedirect: typeof isRedirect;
+  isClientError: typeof isClientError;
+  isServerError: typeof isServerError;
+  isRetryable: typeof isRetryable;
+  paginated: typeof paginated;
+  cursorPaginated: typeof cursorPaginated;
+  ranged: typeof ranged;
+  ValidationErrors: typeof ValidationErrors;
+  validationErrors: typeof validationErrors;
+  fromJoi: typeof fromJoi;
+  fromZod: typeof fromZod;
+  fromAjv: typeof fromAjv;
+  MultiStatus: typeof MultiStatus;
+  createMultiStatus: typeof createMultiStatus;
+  serialize: typeof serialize;
+  addMessages: typeof addMessages;
+  locales: typeof locales;
+  resolveLocale: typeof resolveLocale;
+  withLocale: typeof withLocale;
+  translate: typeof translate;
+  openApiComponents: typeof openApiComponents;
+  toWebResponse: typeof toWebResponse;
+  etag: typeof etag;
+  preconditions: typeof preconditions;
+  conditional: typeof conditional;
+  Jobs: typeof Jobs;
+  MemoryJobStore: typeof MemoryJobStore;
+  createJobs: typeof createJobs;
+} & Helpers;
+
+export default httpresponser;
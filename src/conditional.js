@@ -0,0 +1,167 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Conditional requests: evaluates If-Match, If-None-Match,
+ * If-Modified-Since and If-Unmodified-Since against a resource's ETag and
+ * Last-Modified, answering 304, 412 or 428 when they call for it
+ * REFS:
+ * * Conditional requests: https://www.rfc-editor.org/rfc/rfc9110#section-13
+ * * Precedence: https://www.rfc-editor.org/rfc/rfc9110#section-13.2.2
+ * * 428 Precondition Required: https://www.rfc-editor.org/rfc/rfc6585#section-3
+ */
+
+import { createHash } from 'node:crypto';
+
+import {
+  notModified,
+  preconditionFailed,
+  preconditionRequired,
+  success
+} from './helpers.js';
+import { withOptions } from './utils.js';
+
+//! Methods answered with 304 instead of 412 when If-None-Match matches
+const safeMethods = ['GET', 'HEAD'];
+
+//! Methods that need a precondition unless options.required says otherwise
+const writeMethods = ['PUT', 'PATCH', 'DELETE'];
+
+/*
+ * Entity tag of a payload, the hash of its JSON form:
+ * etag(data) is strong ("..."), etag(data, { weak: true }) is weak (W/"...")
+ */
+const etag = function (data, options = {}) {
+  const hash = createHash('sha1')
+    .update(JSON.stringify(data ?? {}))
+    .digest('base64url');
+  return options.weak ? `W/"${hash}"` : `"${hash}"`;
+};
+
+//! Header of a node:http request, a Fetch Request or a { method, headers } object
+const headerOf = function (request, name) {
+  const headers = request?.headers;
+  if (!headers) return undefined;
+  const value =
+    typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return Array.isArray(value) ? value.join(', ') : value ?? undefined;
+};
+
+//! Entity tags given bare ('abc') are compared as "abc"
+const quote = function (tag) {
+  return /"$/.test(tag) ? tag : `"${tag}"`;
+};
+
+//! 'W/"a", "b"' to [{ weak: true, tag: 'a' }, { weak: false, tag: 'b' }]
+const parseTags = function (value) {
+  return (value.match(/(W\/)?"[^"]*"/g) || []).map((item) => ({
+    weak: item.startsWith('W/'),
+    tag: item.replace(/^W\//, '').slice(1, -1)
+  }));
+};
+
+/*
+ * Whether a tag list matches the current entity tag, * matching any current
+ * representation. Strong comparison needs both tags to be strong
+ */
+const matches = function (value, current, exists, strong) {
+  if (value.trim() === '*') return exists;
+  if (!current) return false;
+  const [own] = parseTags(current);
+  return parseTags(value).some(
+    ({ weak, tag }) => tag === own.tag && !(strong && (weak || own.weak))
+  );
+};
+
+//! Milliseconds of an HTTP date, undefined when it is not a valid date
+const parseDate = function (value) {
+  if (!value) return undefined;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+};
+
+//! Last-Modified truncated to whole seconds, the precision of HTTP dates
+const toSeconds = function (value) {
+  if (value === undefined || value === null) return undefined;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? undefined : Math.floor(time / 1000) * 1000;
+};
+
+/*
+ * Evaluates the preconditions of a request, in the order of RFC 9110:
+ * preconditions(request, { etag, lastModified, exists, required })
+ * * request: node:http request, Fetch Request or { method, headers }
+ * * etag, lastModified: validators of the current representation
+ * * exists: whether the resource exists, for If-Match: * and If-None-Match: *,
+ *   defaults to true
+ * * required: answer preconditionRequired() (428) when the request carries
+ *   no If-Match, If-Unmodified-Since or If-None-Match, defaults to true for
+ *   PUT, PATCH and DELETE
+ * Returns the notModified() (304), preconditionFailed() (412) or
+ * preconditionRequired() envelope, or null when the request may proceed
+ */
+const preconditions = function (request, options = {}) {
+  const method = String(request?.method || 'GET').toUpperCase();
+  const { exists = true } = options;
+  const current = options.etag && quote(options.etag);
+  const modified = toSeconds(options.lastModified);
+  const ifMatch = headerOf(request, 'if-match');
+  const ifNoneMatch = headerOf(request, 'if-none-match');
+  const ifModifiedSince = parseDate(headerOf(request, 'if-modified-since'));
+  const ifUnmodifiedSince = parseDate(headerOf(request, 'if-unmodified-since'));
+  const validators = {
+    etag: current,
+    lastModified: modified === undefined ? undefined : new Date(modified)
+  };
+
+  const required = options.required ?? writeMethods.includes(method);
+  if (required && !ifMatch && ifUnmodifiedSince === undefined && !ifNoneMatch) {
+    return preconditionRequired();
+  }
+
+  if (ifMatch) {
+    if (!matches(ifMatch, current, exists, true)) return preconditionFailed();
+  } else if (ifUnmodifiedSince !== undefined && modified !== undefined) {
+    if (modified > ifUnmodifiedSince) return preconditionFailed();
+  }
+
+  if (ifNoneMatch) {
+    if (matches(ifNoneMatch, current, exists, false)) {
+      return safeMethods.includes(method)
+        ? notModified(withOptions(validators))
+        : preconditionFailed();
+    }
+  } else if (
+    safeMethods.includes(method) &&
+    ifModifiedSince !== undefined &&
+    modified !== undefined &&
+    modified <= ifModifiedSince
+  ) {
+    return notModified(withOptions(validators));
+  }
+  return null;
+};
+
+/*
+ * Conditional read: conditional(request, data, options)
+ * * etag: entity tag of data, generated with etag() when missing,
+ *   options.weak generates a weak one
+ * * lastModified: Date, timestamp or date string of the last change
+ * * exists, required: see preconditions()
+ * Returns notModified() (304) or preconditionFailed() (412) when a
+ * precondition calls for it, success() with ETag and Last-Modified otherwise.
+ * Any other option is passed on to success()
+ */
+const conditional = function (request, data, options = {}) {
+  const { weak, exists, required, ...rest } = options;
+  const tag = rest.etag ?? etag(data, { weak });
+  const failed = preconditions(request, {
+    etag: tag,
+    lastModified: rest.lastModified,
+    exists,
+    required
+  });
+  if (failed) return failed;
+  return success(withOptions({ ...rest, data, etag: tag }));
+};
+
+export { etag, preconditions, conditional };
@@ -0,0 +1,69 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Library wide settings shared by response() and every helper
+ */
+
+const settings = {
+  /*
+   * Message catalog used when a helper is called without a message.
+   * Either an object keyed by status code or a function (status) => message.
+   * Codes missing from the catalog fall back to the standard reason phrase
+   */
+  messages: {},
+
+  /*
+   * Output format of the 4xx/5xx helpers:
+   * * envelope: { status, message, stack, data }, stack only when the stack policy allows it
+   * * problem: RFC 9457 Problem Details, see src/problem.js
+   * Can be overridden per call with options.format
+   */
+  format: 'envelope',
+
+  /*
+   * What happens to stack traces before they reach the client:
+   * * include: sent in the stack field
+   * * omit: dropped
+   * * redact: replaced by an errorId, the stack is passed to logger on the server
+   * null picks include when NODE_ENV is 'development' and omit otherwise
+   */
+  stack: null,
+
+  /*
+   * Locale of the default messages and message keys when a call sets none,
+   * see src/i18n.js. Built-in catalogs: en, de, fr, es, it
+   */
+  locale: 'en',
+
+  /*
+   * WWW-Authenticate challenge(s) of the 401 responses that set none with
+   * options.authenticate or options.headers, see src/headers.js
+   */
+  authenticate: 'Bearer',
+
+  /*
+   * Strict mode rejects a status outside 100-599 that is not registered,
+   * a message that is not a string and data JSON cannot represent.
+   * false keeps the lenient behaviour of earlier versions
+   */
+  strict: true,
+
+  //! Receives (errorId, stack) for redacted stacks
+  logger: (errorId, stack) => console.error(`[httpresponser] ${errorId}`, stack)
+};
+
+const stackPolicies = ['include', 'omit', 'redact'];
+
+const configure = function (options = {}) {
+  if (options.stack && !stackPolicies.includes(options.stack)) {
+    throw new TypeError(
+      `stack must be one of ${stackPolicies.join(', ')}, got ${options.stack}`
+    );
+  }
+  Object.keys(settings).forEach((key) => {
+    if (options[key] !== undefined) settings[key] = options[key];
+  });
+  return { ...settings };
+};
+
+export { settings, configure };
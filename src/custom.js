@@ -0,0 +1,241 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Registers custom and vendor specific status codes at runtime,
+ * with optional packs of well-known non-standard codes
+ * REFS:
+ * * nginx: https://nginx.org/en/docs/http/ngx_http_core_module.html
+ * * Cloudflare: https://developers.cloudflare.com/support/troubleshooting/http-status-codes/cloudflare-5xx-errors/
+ * * IIS: https://learn.microsoft.com/en-us/troubleshoot/developer/webapps/iis/health-diagnostic-performance/http-status-code
+ */
+
+import { HttpError, httpErrors } from './errors.js';
+import * as helpers from './helpers.js';
+import { response } from './response.js';
+import { addStatus, getStatus } from './statuses.js';
+
+//! Helpers generated by registerStatus(), keyed by name
+const customHelpers = {};
+
+const namePattern = /^[A-Za-z_$][\w$]*$/;
+
+//! Members of a createResponser() instance next to its helpers
+const reservedNames = ['shape', 'response'];
+
+/*
+ * definition: { code, name, phrase, description, kind, retryable, byCode }
+ * * code: integer between 100 and 599, must be free unless byCode is false
+ * * name: helper name, a valid identifier not used by another status,
+ *   nor shape or response, see src/responser.js
+ * * kind: defaults to custom
+ * * retryable: whether clients may retry the request later, defaults to false
+ * Adds the registry entry, an httpErrors factory for 4xx/5xx codes and
+ * returns the helper, which takes the same arguments as every other helper
+ */
+const registerStatus = function (definition = {}) {
+  const {
+    code,
+    name,
+    phrase,
+    description = '',
+    kind = 'custom',
+    retryable = false
+  } = definition;
+  const byCode = definition.byCode !== false;
+  if (!Number.isInteger(code) || code < 100 || code > 599) {
+    throw new RangeError(
+      `code must be an integer between 100 and 599, got ${code}`
+    );
+  }
+  if (typeof name !== 'string' || !namePattern.test(name)) {
+    throw new TypeError(`name must be a valid identifier, got ${name}`);
+  }
+  if (typeof phrase !== 'string' || !phrase) {
+    throw new TypeError('phrase must be a non-empty string');
+  }
+  if (reservedNames.includes(name)) {
+    throw new TypeError(`${name} is reserved and cannot name a status`);
+  }
+  if (getStatus(name) || name in helpers) {
+    throw new Error(`A status named ${name} is already registered`);
+  }
+  if (byCode && getStatus(code)) {
+    throw new Error(
+      `${code} is already registered as ${getStatus(code).name}, ` +
+        'pass byCode: false to register it by name only'
+    );
+  }
+
+  addStatus({ code, name, phrase, kind, retryable, description }, { byCode });
+  // A status sharing its code with another one cannot rely on the default message
+  const fallback = byCode ? {} : { message: phrase };
+  customHelpers[name] = function (message, data, stack, options) {
+    return response(code, message, data, stack, { ...fallback, ...options });
+  };
+  if (code >= 400) {
+    httpErrors[name] = function (message, data, options) {
+      return new HttpError(code, message ?? fallback.message, data, options);
+    };
+  }
+  return customHelpers[name];
+};
+
+//! Built-in packs of well-known non-standard codes, registered with registerPack()
+const statusPacks = {
+  nginx: [
+    {
+      code: 444,
+      name: 'noResponse',
+      phrase: 'No Response',
+      description:
+        'Used internally by nginx to instruct the server to return no information ' +
+        'to the client and close the connection immediately.'
+    },
+    {
+      code: 494,
+      name: 'requestHeaderTooLarge',
+      phrase: 'Request Header Too Large',
+      description:
+        'The client sent a request or a header line that is too large for the server.'
+    },
+    {
+      code: 495,
+      name: 'sslCertificateError',
+      phrase: 'SSL Certificate Error',
+      description: 'The client has provided an invalid client certificate.'
+    },
+    {
+      code: 496,
+      name: 'sslCertificateRequired',
+      phrase: 'SSL Certificate Required',
+      description: 'A client certificate is required but was not provided.'
+    },
+    {
+      code: 497,
+      name: 'httpRequestSentToHttpsPort',
+      phrase: 'HTTP Request Sent to HTTPS Port',
+      description:
+        'The client has made a plain HTTP request to a port listening for HTTPS requests.'
+    },
+    {
+      code: 499,
+      name: 'clientClosedRequest',
+      phrase: 'Client Closed Request',
+      description:
+        'The client closed the connection while nginx was still processing its request.'
+    }
+  ],
+  cloudflare: [
+    {
+      code: 520,
+      name: 'webServerUnknownError',
+      retryable: true,
+      phrase: 'Web Server Returned an Unknown Error',
+      description:
+        'The origin server returned an empty, unknown, or unexpected response to Cloudflare.'
+    },
+    {
+      code: 521,
+      name: 'webServerDown',
+      retryable: true,
+      phrase: 'Web Server Is Down',
+      description: 'The origin server refused connections from Cloudflare.'
+    },
+    {
+      code: 522,
+      name: 'connectionTimedOut',
+      retryable: true,
+      phrase: 'Connection Timed Out',
+      description: 'Cloudflare timed out contacting the origin server.'
+    },
+    {
+      code: 523,
+      name: 'originUnreachable',
+      retryable: true,
+      phrase: 'Origin Is Unreachable',
+      description:
+        'Cloudflare could not reach the origin server, for example because its DNS ' +
+        'records are incorrect.'
+    },
+    {
+      code: 524,
+      name: 'timeoutOccurred',
+      retryable: true,
+      phrase: 'A Timeout Occurred',
+      description:
+        'Cloudflare made a TCP connection to the origin server, but did not receive ' +
+        'a timely HTTP response.'
+    },
+    {
+      code: 525,
+      name: 'sslHandshakeFailed',
+      phrase: 'SSL Handshake Failed',
+      description:
+        'Cloudflare could not negotiate a SSL/TLS handshake with the origin server.'
+    },
+    {
+      code: 526,
+      name: 'invalidSslCertificate',
+      phrase: 'Invalid SSL Certificate',
+      description:
+        'Cloudflare could not validate the SSL certificate on the origin server.'
+    },
+    {
+      code: 527,
+      name: 'railgunError',
+      phrase: 'Railgun Error',
+      description:
+        'The connection between Cloudflare and the origin Railgun server was interrupted.'
+    }
+  ],
+  iis: [
+    {
+      code: 440,
+      name: 'loginTimeout',
+      phrase: 'Login Time-out',
+      description: "The client's session has expired and must log in again."
+    },
+    {
+      code: 449,
+      name: 'retryWith',
+      phrase: 'Retry With',
+      description:
+        'The server cannot honour the request because the user has not provided ' +
+        'the required information.'
+    },
+    {
+      // 451 is Unavailable For Legal Reasons in the HTTP standard
+      code: 451,
+      name: 'iisRedirect',
+      phrase: 'Redirect',
+      byCode: false,
+      description:
+        'Used in Exchange ActiveSync when either a more efficient server is available ' +
+        'or the server cannot access the mailbox of the user.'
+    }
+  ]
+};
+
+/*
+ * Registers every status of a built-in pack (nginx, cloudflare or iis) and
+ * returns their helpers by name. Registering a pack twice is a no-op
+ */
+const registerPack = function (pack) {
+  const definitions = statusPacks[pack];
+  if (!definitions) {
+    throw new RangeError(
+      `Unknown status pack ${pack}, expected one of ${Object.keys(
+        statusPacks
+      ).join(', ')}`
+    );
+  }
+  const registered = {};
+  definitions.forEach((definition) => {
+    registered[definition.name] =
+      customHelpers[definition.name] ||
+      registerStatus({ ...definition, kind: pack });
+  });
+  return registered;
+};
+
+export { customHelpers, registerStatus, registerPack, statusPacks };
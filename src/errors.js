@@ -0,0 +1,123 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Throwable errors carrying an HTTP status, for the 4xx/5xx codes
+ * of the registry, that convert back into the response envelope
+ */
+
+import { settings } from './config.js';
+import { localeOf, translate } from './i18n.js';
+import { defaultMessage, response } from './response.js';
+import { statuses } from './statuses.js';
+import { isOptions, isPlainObject } from './utils.js';
+import validate from './validate.js';
+
+// Shared brand so errors thrown by another copy of the package are recognised
+const brand = Symbol.for('httpresponser.HttpError');
+
+// Errors created without a message, localized again when sent
+const defaulted = new WeakSet();
+
+/*
+ * Same argument forms as the helpers: the options (see isOptions() in
+ * src/utils.js), any other plain object taken as data and an Error whose
+ * message is used, the Error becoming the cause
+ */
+const normalize = function (message, data, options = {}) {
+  if (isOptions(message)) {
+    const merged = { ...options, ...message };
+    return normalize(merged.message, data ?? merged.data, merged);
+  }
+  if (isPlainObject(message) && data === undefined) {
+    return { message: undefined, data: message, options };
+  }
+  if (message instanceof Error) {
+    const cause = options.cause === undefined ? message : options.cause;
+    return { message: message.message, data, options: { ...options, cause } };
+  }
+  return { message, data, options };
+};
+
+class HttpError extends Error {
+  /*
+   * status: 4xx/5xx status code
+   * message: defaults to options.key, then the configured message catalog,
+   *   then the locale's message, see src/i18n.js. Also takes the other forms
+   *   of the helpers' first argument, see normalize()
+   * data: payload returned to the client with the envelope
+   * options: { cause } and any response() options used by toResponse(),
+   *   a 405 needs options.allow like methodNotAllowed()
+   * In strict mode the message and data are checked here, so an error that
+   * cannot be sent is reported where it is created, see src/validate.js
+   */
+  constructor(status, ...args) {
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      throw new RangeError(
+        `HttpError status must be a 4xx or 5xx code, got ${status}`
+      );
+    }
+    let { message, data, options } = normalize(...args);
+    if (status === 405 && options.allow === undefined) {
+      throw new TypeError('A 405 HttpError needs options.allow');
+    }
+    const missing = message === undefined || message === null;
+    if (missing) {
+      const locale = localeOf(options);
+      if (options.key) message = translate(options.key, options.params, locale);
+      message ??= defaultMessage(status, locale);
+    }
+    if (settings.strict) validate(status, message, data);
+    super(message, options.cause === undefined ? {} : { cause: options.cause });
+    if (missing) defaulted.add(this);
+    this.name = 'HttpError';
+    this.status = status;
+    this.data = data;
+    this.options = options;
+    Error.captureStackTrace?.(this, this.constructor);
+  }
+
+  get [brand]() {
+    return true;
+  }
+
+  /*
+   * The envelope (or Problem Details object) for this error, with its stack.
+   * A default message is resolved again for the locale of the response
+   */
+  toResponse(options) {
+    const message = defaulted.has(this) ? undefined : this.message;
+    return response(this.status, message, this.data, this.stack, {
+      ...this.options,
+      ...options
+    });
+  }
+
+  toJSON() {
+    return this.toResponse();
+  }
+}
+
+const isHttpError = function (value) {
+  return value instanceof HttpError || Boolean(value && value[brand]);
+};
+
+const createError = function (status, message, data, options) {
+  return new HttpError(status, message, data, options);
+};
+
+/*
+ * One factory per 4xx/5xx helper, including the AWS ELB codes:
+ * throw httpErrors.notFound('User missing', { id })
+ */
+const httpErrors = {};
+statuses
+  .filter(({ code }) => code >= 400)
+  .forEach(({ code, name }) => {
+    httpErrors[name] = function (message, data, options) {
+      const err = new HttpError(code, message, data, options);
+      Error.captureStackTrace?.(err, httpErrors[name]);
+      return err;
+    };
+  });
+
+export { HttpError, createError, httpErrors, isHttpError };
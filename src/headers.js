@@ -0,0 +1,130 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Validates the status specific header options and turns them
+ * into the headers map carried by the envelope
+ * REFS:
+ * * Location: https://www.rfc-editor.org/rfc/rfc9110#field.location
+ * * Retry-After: https://www.rfc-editor.org/rfc/rfc9110#field.retry-after
+ * * WWW-Authenticate: https://www.rfc-editor.org/rfc/rfc9110#field.www-authenticate
+ * * Allow: https://www.rfc-editor.org/rfc/rfc9110#field.allow
+ * * Content-Range: https://www.rfc-editor.org/rfc/rfc9110#field.content-range
+ * * ETag: https://www.rfc-editor.org/rfc/rfc9110#field.etag
+ * * Last-Modified: https://www.rfc-editor.org/rfc/rfc9110#field.last-modified
+ */
+
+const tokenPattern = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+const location = function (value) {
+  if (value instanceof URL) return value.href;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new TypeError('location must be a non-empty string or a URL');
+  }
+  return value;
+};
+
+//! Delay in seconds or the Date after which the client may retry
+const retryAfter = function (value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new RangeError('retryAfter must be a valid Date');
+    }
+    return value.toUTCString();
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    throw new TypeError('retryAfter must be a non-negative integer or a Date');
+  }
+  return String(value);
+};
+
+//! One challenge ('Bearer realm="api"') or a list of them
+const authenticate = function (value) {
+  const challenges = [].concat(value);
+  if (
+    !challenges.length ||
+    challenges.some((challenge) => typeof challenge !== 'string' || !challenge)
+  ) {
+    throw new TypeError(
+      'authenticate must be a challenge string or an array of them'
+    );
+  }
+  return challenges.join(', ');
+};
+
+//! Methods supported by the resource, as an array or a comma separated string
+const allow = function (value) {
+  const methods = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(methods)) {
+    throw new TypeError('allow must be an array of methods or a string');
+  }
+  const tokens = methods.map((method) => String(method).trim().toUpperCase());
+  if (tokens.some((token) => !tokenPattern.test(token))) {
+    throw new TypeError(`allow contains an invalid method: ${value}`);
+  }
+  return tokens.join(', ');
+};
+
+//! Complete length of the representation, sent as 'bytes */<size>'
+const size = function (value) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new TypeError('size must be a non-negative integer');
+  }
+  return `bytes */${value}`;
+};
+
+//! Entity tag, quoted when given bare: 'abc' is sent as "abc"
+const etag = function (value) {
+  const tag = /^(W\/)?".*"$/.test(value) ? value : `"${value}"`;
+  if (
+    typeof value !== 'string' ||
+    !/^(W\/)?"[\x21\x23-\x7e\x80-\xff]*"$/.test(tag)
+  ) {
+    throw new TypeError(`etag must be an entity tag string, got ${value}`);
+  }
+  return tag;
+};
+
+//! Date, timestamp or date string, sent as an HTTP date
+const lastModified = function (value) {
+  const date = value instanceof Date ? value : new Date(value);
+  const accepted =
+    ['number', 'string'].includes(typeof value) || value instanceof Date;
+  if (!accepted || Number.isNaN(date.getTime())) {
+    throw new TypeError(
+      'lastModified must be a valid Date, timestamp or date string'
+    );
+  }
+  return date.toUTCString();
+};
+
+const headerOptions = {
+  location: ['Location', location],
+  retryAfter: ['Retry-After', retryAfter],
+  authenticate: ['WWW-Authenticate', authenticate],
+  allow: ['Allow', allow],
+  size: ['Content-Range', size],
+  etag: ['ETag', etag],
+  lastModified: ['Last-Modified', lastModified]
+};
+
+/*
+ * Collects options.headers plus the header options above:
+ * * location: Location, used by created() and the redirect helpers
+ * * retryAfter: Retry-After, used by tooManyRequests() and serviceUnavailable()
+ * * authenticate: WWW-Authenticate, used by unauthorized()
+ * * allow: Allow, used by methodNotAllowed()
+ * * size: Content-Range, used by rangeNotSatisfiable()
+ * * etag, lastModified: ETag and Last-Modified, see src/conditional.js
+ * Returns undefined when there are no headers
+ */
+const buildHeaders = function (options = {}) {
+  const headers = { ...options.headers };
+  Object.keys(headerOptions).forEach((key) => {
+    if (options[key] === undefined) return;
+    const [name, format] = headerOptions[key];
+    headers[name] = format(options[key]);
+  });
+  return Object.keys(headers).length ? headers : undefined;
+};
+
+export default buildHeaders;
@@ -0,0 +1,433 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 25/05/2023
+ * Description: One helper per status code, each a thin wrapper around response()
+ * REFS:
+ * * Status Codes: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status
+ * * Browser Compatibility: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status#browser_compatibility
+ */
+
+import { response } from './response.js';
+import { isOptions } from './utils.js';
+
+//! Value of an option given as the first argument or in options
+const optionOf = function (key, first, options) {
+  return (isOptions(first) ? first[key] : undefined) ?? options?.[key];
+};
+
+/*
+ * Redirect helpers take the target first and send it as the Location header:
+ * found(url, message, data, stack, options) or found({ location, message, ... })
+ * A redirect without a target throws
+ */
+const redirect = function (status, url, message, data, stack, options) {
+  const location = isOptions(url) ? url.location : url ?? options?.location;
+  if (location === undefined || location === null) {
+    throw new TypeError(`A ${status} redirect needs the URL of its target`);
+  }
+  if (isOptions(url)) return response(status, url);
+  return response(status, message, data, stack, { ...options, location });
+};
+
+/*
+ * Reason phrases, classes and descriptions for every code below are kept
+ * in the status registry (src/statuses.js) and exposed through getStatus()
+ */
+
+//! Informational responses (100-199)
+
+//! 100 Continue
+const continueResponse = function (message, data, stack, options) {
+  return response(100, message, data, stack, options);
+};
+
+//! 101 Switching Protocols
+const switchingProtocols = function (message, data, stack, options) {
+  return response(101, message, data, stack, options);
+};
+
+//! 102 Processing (WebDAV)
+const processing = function (message, data, stack, options) {
+  return response(102, message, data, stack, options);
+};
+
+//! Successful responses (200-299)
+
+//! 200 OK
+const success = function (message, data, stack, options) {
+  return response(200, message, data, stack, options);
+};
+
+//! 201 Created
+// options.location sets the Location of the new resource
+const created = function (message, data, stack, options) {
+  return response(201, message, data, stack, options);
+};
+
+//! 202 Accepted
+// options.location and options.retryAfter point to a status monitor, see src/jobs.js
+const accepted = function (message, data, stack, options) {
+  return response(202, message, data, stack, options);
+};
+
+//! 203 Non-Authoritative Information
+const nonAuthoritativeInfo = function (message, data, stack, options) {
+  return response(203, message, data, stack, options);
+};
+
+//! 204 No Content
+const noContent = function (message, data, stack, options) {
+  return response(204, message, data, stack, options);
+};
+
+//! 205 Reset Content
+const resetContent = function (message, data, stack, options) {
+  return response(205, message, data, stack, options);
+};
+
+//! 206 Partial Content
+const partialContent = function (message, data, stack, options) {
+  return response(206, message, data, stack, options);
+};
+
+//! 207 Multi-Status (WebDAV)
+const multiStatus = function (message, data, stack, options) {
+  return response(207, message, data, stack, options);
+};
+
+//! 208 Already Reported (WebDAV)
+const alreadyReported = function (message, data, stack, options) {
+  return response(208, message, data, stack, options);
+};
+
+//! 226 IM Used (HTTP Delta encoding)
+const imUsed = function (message, data, stack, options) {
+  return response(226, message, data, stack, options);
+};
+
+//! Redirection messages (300-399)
+
+//! 300 Multiple Choices
+const multipleChoices = function (message, data, stack, options) {
+  return response(300, message, data, stack, options);
+};
+
+//! 301 Moved Permanently
+const movedPermanently = function (url, message, data, stack, options) {
+  return redirect(301, url, message, data, stack, options);
+};
+
+//! 302 Found
+const found = function (url, message, data, stack, options) {
+  return redirect(302, url, message, data, stack, options);
+};
+
+//! 303 See Other
+const seeOther = function (url, message, data, stack, options) {
+  return redirect(303, url, message, data, stack, options);
+};
+
+//! 304 Not Modified
+const notModified = function (message, data, stack, options) {
+  return response(304, message, data, stack, options);
+};
+
+//! 307 Temporary Redirect
+const temporaryRedirect = function (url, message, data, stack, options) {
+  return redirect(307, url, message, data, stack, options);
+};
+
+//! 308 Permanent Redirect
+const permanentRedirect = function (url, message, data, stack, options) {
+  return redirect(308, url, message, data, stack, options);
+};
+
+//! Client error responses (400-499)
+
+//! 400 Bad Request
+const badRequest = function (message, data, stack, options) {
+  return response(400, message, data, stack, options);
+};
+
+//! 401 Unauthorized
+// options.authenticate sets the WWW-Authenticate challenge(s), defaults to
+// settings.authenticate, see src/config.js
+const unauthorized = function (message, data, stack, options) {
+  return response(401, message, data, stack, options);
+};
+
+//! 403 Forbidden
+const forbidden = function (message, data, stack, options) {
+  return response(403, message, data, stack, options);
+};
+
+//! 404 Not Found
+const notFound = function (message, data, stack, options) {
+  return response(404, message, data, stack, options);
+};
+
+//! 405 Method Not Allowed
+// options.allow sets the Allow header, e.g. ['GET', 'HEAD'], and is required
+const methodNotAllowed = function (message, data, stack, options) {
+  if (optionOf('allow', message, options) === undefined) {
+    throw new TypeError('methodNotAllowed() needs options.allow');
+  }
+  return response(405, message, data, stack, options);
+};
+
+//! 406 Not Acceptable
+const notAcceptable = function (message, data, stack, options) {
+  return response(406, message, data, stack, options);
+};
+
+//! 407 Proxy Authentication Required
+const proxyAuthenticationRequired = function (message, data, stack, options) {
+  return response(407, message, data, stack, options);
+};
+
+//! 408 Request Timeout
+const requestTimeout = function (message, data, stack, options) {
+  return response(408, message, data, stack, options);
+};
+
+//! 409 Conflict
+const conflict = function (message, data, stack, options) {
+  return response(409, message, data, stack, options);
+};
+
+//! 410 Gone
+const gone = function (message, data, stack, options) {
+  return response(410, message, data, stack, options);
+};
+
+//! 411 Length Required
+const lengthRequired = function (message, data, stack, options) {
+  return response(411, message, data, stack, options);
+};
+
+//! 412 Precondition Failed
+const preconditionFailed = function (message, data, stack, options) {
+  return response(412, message, data, stack, options);
+};
+
+//! 413 Payload Too Large
+const payloadTooLarge = function (message, data, stack, options) {
+  return response(413, message, data, stack, options);
+};
+
+//! 414 URI Too Long
+const uriTooLong = function (message, data, stack, options) {
+  return response(414, message, data, stack, options);
+};
+
+//! 415 Unsupported Media Type
+const unsupportedMediaType = function (message, data, stack, options) {
+  return response(415, message, data, stack, options);
+};
+
+//! 416 Range Not Satisfiable
+// options.size sets Content-Range to the complete length: bytes */<size>
+const rangeNotSatisfiable = function (message, data, stack, options) {
+  return response(416, message, data, stack, options);
+};
+
+//! 417 Expectation Failed
+const expectationFailed = function (message, data, stack, options) {
+  return response(417, message, data, stack, options);
+};
+
+//! 418 I'm a teapot
+const teapot = function (message, data, stack, options) {
+  return response(418, message, data, stack, options);
+};
+
+//! 421 Misdirected Request
+const misdirectedRequest = function (message, data, stack, options) {
+  return response(421, message, data, stack, options);
+};
+
+//! 422 Unprocessable Content (WebDAV)
+const unprocessableContent = function (message, data, stack, options) {
+  return response(422, message, data, stack, options);
+};
+
+//! 423 Locked (WebDAV)
+const locked = function (message, data, stack, options) {
+  return response(423, message, data, stack, options);
+};
+
+//! 424 Failed Dependency (WebDAV)
+const failedDependency = function (message, data, stack, options) {
+  return response(424, message, data, stack, options);
+};
+
+//! 426 Upgrade Required
+const upgradeRequired = function (message, data, stack, options) {
+  return response(426, message, data, stack, options);
+};
+
+//! 428 Precondition Required
+const preconditionRequired = function (message, data, stack, options) {
+  return response(428, message, data, stack, options);
+};
+
+//! 429 Too Many Requests
+// options.retryAfter sets Retry-After, in seconds or as a Date
+const tooManyRequests = function (message, data, stack, options) {
+  return response(429, message, data, stack, options);
+};
+
+//! 431 Request Header Fields Too Large
+const requestHeaderFieldsTooLarge = function (message, data, stack, options) {
+  return response(431, message, data, stack, options);
+};
+
+//! 451 Unavailable For Legal Reasons
+const unavailableForLegalReasons = function (message, data, stack, options) {
+  return response(451, message, data, stack, options);
+};
+
+//! Server error responses (500-599)
+
+//! 500 Internal Server Error
+const error = function (message, data, stack, options) {
+  return response(500, message, data, stack, options);
+};
+
+//! 501 Not Implemented
+const notImplemented = function (message, data, stack, options) {
+  return response(501, message, data, stack, options);
+};
+
+//! 502 Bad Gateway
+const badGateway = function (message, data, stack, options) {
+  return response(502, message, data, stack, options);
+};
+
+//! 503 Service Unavailable
+// options.retryAfter sets Retry-After, in seconds or as a Date
+const serviceUnavailable = function (message, data, stack, options) {
+  return response(503, message, data, stack, options);
+};
+
+//! 504 Gateway Timeout
+const gatewayTimeout = function (message, data, stack, options) {
+  return response(504, message, data, stack, options);
+};
+
+//! 505 HTTP version Not Supported
+const httpVersionNotSupported = function (message, data, stack, options) {
+  return response(505, message, data, stack, options);
+};
+
+//! 506 Variant Also Negotiates
+const variantAlsoNegotiates = function (message, data, stack, options) {
+  return response(506, message, data, stack, options);
+};
+
+//! 507 Insufficient Storage (WebDAV)
+const insufficientStorage = function (message, data, stack, options) {
+  return response(507, message, data, stack, options);
+};
+
+//! 508 Loop Detected (WebDAV)
+const loopDetected = function (message, data, stack, options) {
+  return response(508, message, data, stack, options);
+};
+
+//! 510 Not Extended
+const notExtended = function (message, data, stack, options) {
+  return response(510, message, data, stack, options);
+};
+
+//! 511 Network Authentication Required
+const networkAuthenticationRequired = function (message, data, stack, options) {
+  return response(511, message, data, stack, options);
+};
+
+//! AWS Elastic Load Balancer
+
+//! 460
+const http460 = function (message, data, stack, options) {
+  return response(460, message, data, stack, options);
+};
+
+//! 463
+const http463 = function (message, data, stack, options) {
+  return response(463, message, data, stack, options);
+};
+
+//! 464
+const http464 = function (message, data, stack, options) {
+  return response(464, message, data, stack, options);
+};
+
+//! 561 Unauthorized
+const http561 = function (message, data, stack, options) {
+  return response(561, message, data, stack, options);
+};
+
+export {
+  continueResponse,
+  switchingProtocols,
+  processing,
+  success,
+  created,
+  accepted,
+  nonAuthoritativeInfo,
+  noContent,
+  resetContent,
+  partialContent,
+  multiStatus,
+  alreadyReported,
+  imUsed,
+  multipleChoices,
+  movedPermanently,
+  found,
+  seeOther,
+  notModified,
+  temporaryRedirect,
+  permanentRedirect,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  methodNotAllowed,
+  notAcceptable,
+  proxyAuthenticationRequired,
+  requestTimeout,
+  conflict,
+  gone,
+  lengthRequired,
+  preconditionFailed,
+  payloadTooLarge,
+  uriTooLong,
+  unsupportedMediaType,
+  rangeNotSatisfiable,
+  expectationFailed,
+  teapot,
+  misdirectedRequest,
+  unprocessableContent,
+  locked,
+  failedDependency,
+  upgradeRequired,
+  preconditionRequired,
+  tooManyRequests,
+  requestHeaderFieldsTooLarge,
+  unavailableForLegalReasons,
+  error,
+  notImplemented,
+  badGateway,
+  serviceUnavailable,
+  gatewayTimeout,
+  httpVersionNotSupported,
+  variantAlsoNegotiates,
+  insufficientStorage,
+  loopDetected,
+  notExtended,
+  networkAuthenticationRequired,
+  http460,
+  http463,
+  http464,
+  http561
+};
@@ -0,0 +1,91 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Writes an envelope to a node:http ServerResponse
+ * REFS:
+ * * Message body rules: https://www.rfc-editor.org/rfc/rfc9110#section-6.4.1
+ */
+
+import serialize from './negotiate.js';
+import { problemContentType, isProblem } from './problem.js';
+import { statusOf } from './utils.js';
+
+//! Statuses that never carry a body
+const noBodyStatuses = [204, 205, 304];
+
+/*
+ * Interim (1xx) responses are written with the matching ServerResponse method
+ * and leave the response open for the final one
+ */
+const interim = {
+  100: (res) => res.writeContinue(),
+  102: (res) => res.writeProcessing()
+};
+
+/*
+ * Sends the envelope (or Problem Details object) as the final response:
+ * * status line from envelope.status (or the status kept by createResponser()),
+ *   headers from envelope.headers
+ * * JSON body with application/json or application/problem+json, unless an
+ *   already serialized options.body is given with its options.contentType.
+ *   options.accept (an Accept header value) negotiates the format instead,
+ *   see src/negotiate.js, with the page titles in options.locale or
+ *   options.acceptLanguage
+ * * no body for 204, 205, 304 and for HEAD requests (options.method or res.req.method)
+ * 1xx envelopes are sent as interim responses instead. 101 Switching Protocols
+ * can only be answered from the server's 'upgrade' event, so it throws here
+ */
+const send = function (res, envelope, options = {}) {
+  const status = statusOf(envelope);
+  if (status >= 100 && status < 200) {
+    if (!interim[status]) {
+      throw new RangeError(
+        `${status} cannot be sent as an interim response, ` +
+          "answer protocol upgrades from the server's 'upgrade' event"
+      );
+    }
+    interim[status](res);
+    return res;
+  }
+
+  if (options.accept !== undefined) {
+    const { accept, locale, acceptLanguage, ...rest } = options;
+    const negotiated = serialize(envelope, accept, { locale, acceptLanguage });
+    const { 'Content-Type': contentType, ...headers } = negotiated.headers;
+    return send(
+      res,
+      { status: negotiated.status, headers },
+      { ...rest, body: negotiated.body, contentType }
+    );
+  }
+
+  const { headers, ...body } = envelope;
+  res.statusCode = status;
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    res.setHeader(name, value);
+  });
+  if (noBodyStatuses.includes(status)) {
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Length');
+    res.end();
+    return res;
+  }
+
+  const payload = options.body ?? JSON.stringify(body);
+  if (options.contentType) {
+    res.setHeader('Content-Type', options.contentType);
+  } else if (!res.getHeader('Content-Type')) {
+    res.setHeader(
+      'Content-Type',
+      isProblem(body) ? problemContentType : 'application/json; charset=utf-8'
+    );
+  }
+  res.setHeader('Content-Length', Buffer.byteLength(payload));
+
+  const method = options.method || res.req?.method;
+  if (method === 'HEAD') res.end();
+  else res.end(payload);
+  return res;
+};
+
+export default send;
@@ -0,0 +1,170 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Locale catalogs for the default messages and for message keys
+ * with {param} interpolation, and locale resolution from Accept-Language
+ * REFS:
+ * * Accept-Language: https://www.rfc-editor.org/rfc/rfc9110#field.accept-language
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import { settings } from './config.js';
+import { de, es, fr, it } from './locales.js';
+import { isPlainObject } from './utils.js';
+
+//! Object without a prototype, so keys like __proto__ are plain entries
+const dictionary = function (...sources) {
+  return Object.assign(Object.create(null), ...sources);
+};
+
+/*
+ * Messages per locale, status codes and message keys side by side.
+ * The English status messages are the reason phrases of the registry.
+ * Looked up with Object.hasOwn() only, as locales and keys come from requests
+ */
+const catalogs = dictionary({
+  en: dictionary(),
+  de: dictionary(de),
+  fr: dictionary(fr),
+  es: dictionary(es),
+  it: dictionary(it)
+});
+
+//! Locale set by withLocale() for the helpers called inside it, async included
+const scopedLocale = new AsyncLocalStorage();
+
+//! Message of a key in a locale's catalog, undefined when either is missing
+const lookup = function (locale, key) {
+  if (!Object.hasOwn(catalogs, locale)) return undefined;
+  const catalog = catalogs[locale];
+  return Object.hasOwn(catalog, key) ? catalog[key] : undefined;
+};
+
+//! { user: { missing: '...' } } to { 'user.missing': '...' }
+const flatten = function (messages, prefix = '', flat = dictionary()) {
+  Object.entries(messages).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, flat);
+      return;
+    }
+    if (typeof value !== 'string') {
+      throw new TypeError(`message ${path} must be a string, got ${value}`);
+    }
+    flat[path] = value;
+  });
+  return flat;
+};
+
+/*
+ * Adds messages to a locale, creating it when missing. Nested objects are
+ * flattened to dotted keys and status codes override the built-in messages:
+ * addMessages('de', { user: { missing: 'Benutzer {id} nicht gefunden' } })
+ */
+const addMessages = function (locale, messages) {
+  if (typeof locale !== 'string' || !locale) {
+    throw new TypeError(`locale must be a non-empty string, got ${locale}`);
+  }
+  if (!isPlainObject(messages)) {
+    throw new TypeError('messages must be a plain object');
+  }
+  const tag = locale.toLowerCase();
+  const current = Object.hasOwn(catalogs, tag) ? catalogs[tag] : undefined;
+  catalogs[tag] = dictionary(current, flatten(messages));
+  return { ...catalogs[tag] };
+};
+
+//! Locales that have a catalog
+const locales = function () {
+  return Object.keys(catalogs);
+};
+
+//! Catalog locale for a tag: the tag itself or its language, else undefined
+const matchLocale = function (locale) {
+  const tag = String(locale || '').toLowerCase();
+  if (Object.hasOwn(catalogs, tag)) return tag;
+  const [language] = tag.split('-');
+  return Object.hasOwn(catalogs, language) ? language : undefined;
+};
+
+const pickLocale = function (locale) {
+  return matchLocale(locale) || settings.locale;
+};
+
+/*
+ * Best locale with a catalog for an Accept-Language header, ranges tried by
+ * quality then order. settings.locale when none matches
+ */
+const resolveLocale = function (acceptLanguage) {
+  const ranges = String(acceptLanguage || '')
+    .split(',')
+    .map((range, index) => {
+      const [tag, ...params] = range.trim().split(';');
+      const q = params
+        .map((param) => param.trim().split('='))
+        .find(([name]) => name.toLowerCase() === 'q');
+      const quality = q ? Number(q[1]) : 1;
+      return { tag: tag.trim().toLowerCase(), q: quality || 0, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  const match = ranges.find(({ tag }) => matchLocale(tag));
+  return match ? matchLocale(match.tag) : settings.locale;
+};
+
+/*
+ * Locale of a helper call: options.locale, then options.acceptLanguage,
+ * then the one set by withLocale(), then settings.locale
+ */
+const localeOf = function (options = {}) {
+  if (options.locale) return pickLocale(options.locale);
+  if (options.acceptLanguage) return resolveLocale(options.acceptLanguage);
+  return pickLocale(scopedLocale.getStore() || settings.locale);
+};
+
+/*
+ * Runs fn with the helpers called inside it defaulting to locale, including
+ * the ones called after an await in fn. Concurrent calls keep their own
+ * locale. Returns what fn returns
+ */
+const withLocale = function (locale, fn) {
+  return scopedLocale.run(locale, fn);
+};
+
+//! 'User {id} not found' with { id: 7 }, unknown params are left as they are
+const interpolate = function (template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(params, name) &&
+    params[name] !== undefined &&
+    params[name] !== null
+      ? String(params[name])
+      : placeholder
+  );
+};
+
+/*
+ * Message of a key in a locale, falling back to settings.locale and English.
+ * undefined when no catalog has the key
+ */
+const translate = function (key, params, locale = settings.locale) {
+  const chain = [pickLocale(locale), settings.locale, 'en'];
+  const found = chain.find((tag) => lookup(tag, key) !== undefined);
+  if (found === undefined) return undefined;
+  return interpolate(lookup(found, key), params);
+};
+
+//! Built-in message of a status in a locale, undefined for the reason phrase
+const statusMessage = function (status, locale) {
+  return lookup(pickLocale(locale), String(status));
+};
+
+export {
+  addMessages,
+  locales,
+  resolveLocale,
+  localeOf,
+  withLocale,
+  translate,
+  statusMessage
+};
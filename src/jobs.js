@@ -0,0 +1,174 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Asynchronous jobs around 202 Accepted: a job is accepted with
+ * a status monitor URL, polled while pending and redirected to its result
+ * REFS:
+ * * 202 Accepted: https://www.rfc-editor.org/rfc/rfc9110#status.202
+ * * 303 See Other: https://www.rfc-editor.org/rfc/rfc9110#status.303
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { isHttpError } from './errors.js';
+import { accepted, error, notFound, seeOther, success } from './helpers.js';
+import { isPlainObject, statusOf, withOptions } from './utils.js';
+
+const states = ['pending', 'done', 'failed'];
+
+/*
+ * Default store keeping the jobs in memory, for a single process.
+ * Any object with async get(id) and set(id, job) can replace it, e.g. one
+ * backed by Redis or a database table. Jobs are plain JSON objects
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async get(id) {
+    return this.jobs.get(id);
+  }
+
+  async set(id, job) {
+    this.jobs.set(id, job);
+  }
+
+  async delete(id) {
+    this.jobs.delete(id);
+  }
+}
+
+//! Failure envelope of a job: HttpError, 4xx/5xx envelope or any other error (500)
+const failureOf = function (err) {
+  if (isHttpError(err)) return err.toResponse();
+  if (isPlainObject(err) && statusOf(err) >= 400) return err;
+  return error(undefined, undefined, err instanceof Error ? err : undefined);
+};
+
+//! What a poll returns about a job, without its failure envelope
+const publicJob = function (job) {
+  const { error: failure, ...rest } = job;
+  return rest;
+};
+
+class Jobs {
+  /*
+   * options:
+   * * store: { get, set } store of the jobs, defaults to a MemoryJobStore
+   * * url: base URL of the status monitor, the job id is appended to it,
+   *   or a function (id) => url. Defaults to /jobs
+   * * retryAfter: seconds clients wait between polls, defaults to 5
+   */
+  constructor(options = {}) {
+    const {
+      store = new MemoryJobStore(),
+      url = '/jobs',
+      retryAfter = 5
+    } = options;
+    if (typeof store.get !== 'function' || typeof store.set !== 'function') {
+      throw new TypeError('store must have get(id) and set(id, job) methods');
+    }
+    this.store = store;
+    this.url =
+      typeof url === 'function'
+        ? url
+        : (id) => `${url.replace(/\/$/, '')}/${encodeURIComponent(id)}`;
+    this.retryAfter = retryAfter;
+  }
+
+  async find(id) {
+    const job = await this.store.get(id);
+    if (!job) throw new RangeError(`There is no job ${id}`);
+    return job;
+  }
+
+  //! Moves a pending job to done or failed
+  async settle(id, changes) {
+    const job = await this.find(id);
+    if (job.state !== 'pending') {
+      throw new RangeError(`Job ${id} is already ${job.state}`);
+    }
+    const settled = { ...job, ...changes, updatedAt: new Date().toISOString() };
+    await this.store.set(id, settled);
+    return settled;
+  }
+
+  /*
+   * Records a pending job and returns its accepted() (202) envelope, with the
+   * status monitor URL as Location and Retry-After. options.id sets the job
+   * id (a random UUID otherwise), any other option is passed on to accepted()
+   */
+  async create(options = {}) {
+    const { id = randomUUID(), ...rest } = options;
+    const now = new Date().toISOString();
+    const job = { id, state: 'pending', createdAt: now, updatedAt: now };
+    await this.store.set(id, job);
+    return accepted(
+      withOptions({
+        retryAfter: this.retryAfter,
+        ...rest,
+        data: publicJob(job),
+        location: this.url(id)
+      })
+    );
+  }
+
+  //! Marks a job done, location being the URL of its result
+  async complete(id, location) {
+    if (typeof location !== 'string' && !(location instanceof URL)) {
+      throw new TypeError('location must be the URL of the job result');
+    }
+    return this.settle(id, { state: 'done', location: String(location) });
+  }
+
+  //! Marks a job failed, err becoming the envelope returned to polls
+  async fail(id, err) {
+    return this.settle(id, { state: 'failed', error: failureOf(err) });
+  }
+
+  /*
+   * Creates a job and runs task(job) without waiting for it: the URL task
+   * resolves to completes the job, a rejection fails it.
+   * Returns the accepted() envelope of create()
+   */
+  async run(task, options) {
+    const envelope = await this.create(options);
+    const { id } = envelope.data;
+    Promise.resolve()
+      .then(() => task({ id }))
+      .then((location) => this.complete(id, location))
+      .catch((err) => this.fail(id, err))
+      // The store failing too leaves the job pending, nothing to report to
+      .catch(() => {});
+    return envelope;
+  }
+
+  /*
+   * Answer to a poll of the status monitor:
+   * * pending: success() (200) with the job and Retry-After
+   * * done: seeOther() (303) to the result
+   * * failed: the failure envelope
+   * * unknown id: notFound()
+   */
+  async poll(id) {
+    const job = await this.store.get(id);
+    if (!job) return notFound();
+    if (!states.includes(job.state)) {
+      throw new RangeError(`Job ${id} has an unknown state: ${job.state}`);
+    }
+    if (job.state === 'done') {
+      return seeOther(job.location, undefined, publicJob(job));
+    }
+    if (job.state === 'failed') return job.error;
+    return success(
+      withOptions({ data: publicJob(job), retryAfter: this.retryAfter })
+    );
+  }
+}
+
+const createJobs = function (options) {
+  return new Jobs(options);
+};
+
+export { Jobs, MemoryJobStore, createJobs };
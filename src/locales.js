@@ -0,0 +1,268 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Built-in message catalogs, keyed by status code, for every
+ * status in src/statuses.js. English uses the registry's reason phrases
+ */
+
+const de = {
+  100: 'Weiter',
+  101: 'Protokollwechsel',
+  102: 'Wird verarbeitet',
+  200: 'OK',
+  201: 'Erstellt',
+  202: 'Akzeptiert',
+  203: 'Nicht maßgebliche Information',
+  204: 'Kein Inhalt',
+  205: 'Inhalt zurücksetzen',
+  206: 'Teilinhalt',
+  207: 'Mehrfachstatus',
+  208: 'Bereits gemeldet',
+  226: 'IM verwendet',
+  300: 'Mehrere Auswahlmöglichkeiten',
+  301: 'Dauerhaft verschoben',
+  302: 'Gefunden',
+  303: 'Siehe andere Ressource',
+  304: 'Nicht geändert',
+  307: 'Vorübergehend umgeleitet',
+  308: 'Dauerhaft umgeleitet',
+  400: 'Ungültige Anfrage',
+  401: 'Nicht autorisiert',
+  403: 'Verboten',
+  404: 'Nicht gefunden',
+  405: 'Methode nicht erlaubt',
+  406: 'Nicht annehmbar',
+  407: 'Proxy-Authentifizierung erforderlich',
+  408: 'Zeitüberschreitung der Anfrage',
+  409: 'Konflikt',
+  410: 'Nicht mehr verfügbar',
+  411: 'Länge erforderlich',
+  412: 'Vorbedingung fehlgeschlagen',
+  413: 'Inhalt zu groß',
+  414: 'URI zu lang',
+  415: 'Nicht unterstützter Medientyp',
+  416: 'Bereich nicht erfüllbar',
+  417: 'Erwartung fehlgeschlagen',
+  418: 'Ich bin eine Teekanne',
+  421: 'Fehlgeleitete Anfrage',
+  422: 'Nicht verarbeitbarer Inhalt',
+  423: 'Gesperrt',
+  424: 'Fehlgeschlagene Abhängigkeit',
+  426: 'Upgrade erforderlich',
+  428: 'Vorbedingung erforderlich',
+  429: 'Zu viele Anfragen',
+  431: 'Header-Felder der Anfrage zu groß',
+  451: 'Aus rechtlichen Gründen nicht verfügbar',
+  460: 'Client hat die Verbindung geschlossen',
+  463: 'Zu viele weitergeleitete IP-Adressen',
+  464: 'Inkompatible Protokollversionen',
+  500: 'Interner Serverfehler',
+  501: 'Nicht implementiert',
+  502: 'Fehlerhaftes Gateway',
+  503: 'Dienst nicht verfügbar',
+  504: 'Zeitüberschreitung des Gateways',
+  505: 'HTTP-Version nicht unterstützt',
+  506: 'Variante verhandelt ebenfalls',
+  507: 'Unzureichender Speicher',
+  508: 'Endlosschleife erkannt',
+  510: 'Nicht erweitert',
+  511: 'Netzwerkauthentifizierung erforderlich',
+  561: 'Nicht autorisiert'
+};
+
+const fr = {
+  100: 'Continuer',
+  101: 'Changement de protocole',
+  102: 'Traitement en cours',
+  200: 'OK',
+  201: 'Créé',
+  202: 'Accepté',
+  203: 'Information non certifiée',
+  204: 'Pas de contenu',
+  205: 'Contenu réinitialisé',
+  206: 'Contenu partiel',
+  207: 'Multi-statut',
+  208: 'Déjà signalé',
+  226: 'IM utilisé',
+  300: 'Choix multiples',
+  301: 'Déplacé définitivement',
+  302: 'Trouvé',
+  303: 'Voir ailleurs',
+  304: 'Non modifié',
+  307: 'Redirection temporaire',
+  308: 'Redirection permanente',
+  400: 'Requête invalide',
+  401: 'Non autorisé',
+  403: 'Interdit',
+  404: 'Introuvable',
+  405: 'Méthode non autorisée',
+  406: 'Non acceptable',
+  407: 'Authentification proxy requise',
+  408: "Délai d'attente de la requête dépassé",
+  409: 'Conflit',
+  410: 'Disparu',
+  411: 'Longueur requise',
+  412: 'Précondition échouée',
+  413: 'Contenu trop volumineux',
+  414: 'URI trop longue',
+  415: 'Type de média non pris en charge',
+  416: 'Plage non satisfaisable',
+  417: 'Attente non satisfaite',
+  418: 'Je suis une théière',
+  421: 'Requête mal dirigée',
+  422: 'Contenu non traitable',
+  423: 'Verrouillé',
+  424: 'Dépendance échouée',
+  426: 'Mise à niveau requise',
+  428: 'Précondition requise',
+  429: 'Trop de requêtes',
+  431: "Champs d'en-tête de la requête trop grands",
+  451: 'Indisponible pour raisons légales',
+  460: 'Connexion fermée par le client',
+  463: "Trop d'adresses IP transférées",
+  464: 'Versions de protocole incompatibles',
+  500: 'Erreur interne du serveur',
+  501: 'Non implémenté',
+  502: 'Mauvaise passerelle',
+  503: 'Service indisponible',
+  504: "Délai d'attente de la passerelle dépassé",
+  505: 'Version HTTP non prise en charge',
+  506: 'La variante négocie également',
+  507: 'Stockage insuffisant',
+  508: 'Boucle détectée',
+  510: 'Non étendu',
+  511: 'Authentification réseau requise',
+  561: 'Non autorisé'
+};
+
+const es = {
+  100: 'Continuar',
+  101: 'Cambiando de protocolo',
+  102: 'Procesando',
+  200: 'OK',
+  201: 'Creado',
+  202: 'Aceptado',
+  203: 'Información no autorizada',
+  204: 'Sin contenido',
+  205: 'Restablecer contenido',
+  206: 'Contenido parcial',
+  207: 'Multiestado',
+  208: 'Ya informado',
+  226: 'IM usado',
+  300: 'Múltiples opciones',
+  301: 'Movido permanentemente',
+  302: 'Encontrado',
+  303: 'Ver otro',
+  304: 'No modificado',
+  307: 'Redirección temporal',
+  308: 'Redirección permanente',
+  400: 'Solicitud incorrecta',
+  401: 'No autorizado',
+  403: 'Prohibido',
+  404: 'No encontrado',
+  405: 'Método no permitido',
+  406: 'No aceptable',
+  407: 'Se requiere autenticación del proxy',
+  408: 'Tiempo de espera de la solicitud agotado',
+  409: 'Conflicto',
+  410: 'Ya no disponible',
+  411: 'Longitud requerida',
+  412: 'Precondición fallida',
+  413: 'Contenido demasiado grande',
+  414: 'URI demasiado larga',
+  415: 'Tipo de medio no admitido',
+  416: 'Rango no satisfactible',
+  417: 'Expectativa fallida',
+  418: 'Soy una tetera',
+  421: 'Solicitud mal dirigida',
+  422: 'Contenido no procesable',
+  423: 'Bloqueado',
+  424: 'Dependencia fallida',
+  426: 'Se requiere actualización',
+  428: 'Precondición requerida',
+  429: 'Demasiadas solicitudes',
+  431: 'Campos de encabezado de la solicitud demasiado grandes',
+  451: 'No disponible por razones legales',
+  460: 'El cliente cerró la conexión',
+  463: 'Demasiadas direcciones IP reenviadas',
+  464: 'Versiones de protocolo incompatibles',
+  500: 'Error interno del servidor',
+  501: 'No implementado',
+  502: 'Puerta de enlace incorrecta',
+  503: 'Servicio no disponible',
+  504: 'Tiempo de espera de la puerta de enlace agotado',
+  505: 'Versión de HTTP no admitida',
+  506: 'La variante también negocia',
+  507: 'Almacenamiento insuficiente',
+  508: 'Bucle detectado',
+  510: 'No extendido',
+  511: 'Se requiere autenticación de red',
+  561: 'No autorizado'
+};
+
+const it = {
+  100: 'Continua',
+  101: 'Cambio di protocollo',
+  102: 'In elaborazione',
+  200: 'OK',
+  201: 'Creato',
+  202: 'Accettato',
+  203: 'Informazione non autorevole',
+  204: 'Nessun contenuto',
+  205: 'Reimposta contenuto',
+  206: 'Contenuto parziale',
+  207: 'Multi-stato',
+  208: 'Già segnalato',
+  226: 'IM usato',
+  300: 'Scelte multiple',
+  301: 'Spostato permanentemente',
+  302: 'Trovato',
+  303: 'Vedi altro',
+  304: 'Non modificato',
+  307: 'Reindirizzamento temporaneo',
+  308: 'Reindirizzamento permanente',
+  400: 'Richiesta non valida',
+  401: 'Non autorizzato',
+  403: 'Vietato',
+  404: 'Non trovato',
+  405: 'Metodo non consentito',
+  406: 'Non accettabile',
+  407: 'Autenticazione proxy richiesta',
+  408: 'Tempo scaduto per la richiesta',
+  409: 'Conflitto',
+  410: 'Non più disponibile',
+  411: 'Lunghezza richiesta',
+  412: 'Precondizione non soddisfatta',
+  413: 'Contenuto troppo grande',
+  414: 'URI troppo lungo',
+  415: 'Tipo di media non supportato',
+  416: 'Intervallo non soddisfacibile',
+  417: 'Aspettativa non soddisfatta',
+  418: 'Sono una teiera',
+  421: 'Richiesta indirizzata male',
+  422: 'Contenuto non elaborabile',
+  423: 'Bloccato',
+  424: 'Dipendenza non riuscita',
+  426: 'Aggiornamento richiesto',
+  428: 'Precondizione richiesta',
+  429: 'Troppe richieste',
+  431: 'Campi di intestazione della richiesta troppo grandi',
+  451: 'Non disponibile per motivi legali',
+  460: 'Il client ha chiuso la connessione',
+  463: 'Troppi indirizzi IP inoltrati',
+  464: 'Versioni di protocollo incompatibili',
+  500: 'Errore interno del server',
+  501: 'Non implementato',
+  502: 'Gateway non valido',
+  503: 'Servizio non disponibile',
+  504: 'Tempo scaduto per il gateway',
+  505: 'Versione HTTP non supportata',
+  506: 'Anche la variante negozia',
+  507: 'Spazio di archiviazione insufficiente',
+  508: 'Ciclo rilevato',
+  510: 'Non esteso',
+  511: 'Autenticazione di rete richiesta',
+  561: 'Non autorizzato'
+};
+
+export { de, fr, es, it };
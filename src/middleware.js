@@ -0,0 +1,123 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Express/Connect middleware exposing every helper on res
+ * and a final error handler sending errors as the response envelope
+ */
+
+import { customHelpers } from './custom.js';
+import { isHttpError } from './errors.js';
+import * as helpers from './helpers.js';
+import send from './http.js';
+import { resolveLocale, withLocale } from './i18n.js';
+import { response } from './response.js';
+
+//! send() options negotiating the format from the request's Accept header
+const sendOptions = function (negotiate, req) {
+  return negotiate ? { accept: req.headers?.accept ?? '' } : {};
+};
+
+//! Runs fn in the locale of the request's Accept-Language header when localize is set
+const inLocale = function (localize, req, fn) {
+  if (!localize) return fn();
+  return withLocale(resolveLocale(req.headers?.['accept-language']), fn);
+};
+
+/*
+ * Adds res.<helper>(...args) for every helper, including the ones added with
+ * registerStatus(), e.g. res.notFound(message, data), which builds the envelope
+ * and sends it. Methods already on res are left alone. The methods are built
+ * once and read the request from res.req, so call them on res.
+ * Pass a createResponser() instance to send its envelope shape instead.
+ * options.negotiate serializes the envelope as JSON, XML, text or HTML from
+ * the request's Accept header, see src/negotiate.js, and options.localize
+ * picks the locale of default messages and message keys from its
+ * Accept-Language header, see src/i18n.js. The options can be passed alone:
+ * responser({ negotiate: true, localize: true })
+ */
+const responser = function (instance, options = {}) {
+  if (instance && !instance.shape) {
+    return responser(undefined, { ...instance, ...options });
+  }
+  const shape = instance ? instance.shape : (envelope) => envelope;
+  let methods = {};
+  let count = -1;
+
+  // Rebuilt only when registerStatus() has added helpers since the last request
+  const methodTable = function () {
+    const all = { ...helpers, ...customHelpers };
+    const names = Object.keys(all);
+    if (names.length === count) return methods;
+    methods = {};
+    names.forEach((name) => {
+      methods[name] = function (...args) {
+        const { req } = this;
+        return inLocale(options.localize, req, () =>
+          send(
+            this,
+            shape(all[name](...args), req),
+            sendOptions(options.negotiate, req)
+          )
+        );
+      };
+    });
+    count = names.length;
+    return methods;
+  };
+
+  return function (req, res, next) {
+    const table = methodTable();
+    if (!res.req) res.req = req;
+    Object.keys(table).forEach((name) => {
+      if (!(name in res)) res[name] = table[name];
+    });
+    next();
+  };
+};
+
+/*
+ * Final error handler:
+ * * HttpError: sent through its toResponse()
+ * * errors with a 4xx/5xx status or statusCode (e.g. http-errors, body-parser):
+ *   sent with that status, their message only when err.expose is set
+ * * anything else: error() (500) with the default message
+ * options are passed on to response(), options.responser takes a
+ * createResponser() instance whose envelope shape is used and
+ * options.negotiate and options.localize pick the format and the locale from
+ * the request like responser()
+ */
+const errorHandler = function (options = {}) {
+  const {
+    responser: instance,
+    negotiate,
+    localize,
+    ...responseOptions
+  } = options;
+  const shape = instance ? instance.shape : (envelope) => envelope;
+
+  const toEnvelope = function (err) {
+    if (isHttpError(err)) {
+      try {
+        return err.toResponse(responseOptions);
+      } catch {
+        // e.g. data rejected in strict mode: still answer with a plain 500
+        return helpers.error(undefined, undefined, err, responseOptions);
+      }
+    }
+    const status = err?.status ?? err?.statusCode;
+    if (Number.isInteger(status) && status >= 400 && status < 600) {
+      const message = err.expose ? err.message : undefined;
+      return response(status, message, undefined, err, responseOptions);
+    }
+    return helpers.error(undefined, undefined, err, responseOptions);
+  };
+
+  return function (err, req, res, next) {
+    if (res.headersSent) return next(err);
+    return inLocale(localize, req, () =>
+      send(res, shape(toEnvelope(err), req), sendOptions(negotiate, req))
+    );
+  };
+};
+
+export { responser, errorHandler };
@@ -0,0 +1,218 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Serializes envelopes as JSON, Problem Details, XML, plain text
+ * or a minimal HTML page, picked from an Accept header
+ * REFS:
+ * * Accept: https://www.rfc-editor.org/rfc/rfc9110#field.accept
+ * * Problem Details XML: https://www.rfc-editor.org/rfc/rfc9457#appendix-B
+ */
+
+import { notAcceptable } from './helpers.js';
+import { localeOf, statusMessage } from './i18n.js';
+import { isProblem, problemContentType, toProblem } from './problem.js';
+import { getStatus } from './statuses.js';
+import { isPlainObject, statusOf } from './utils.js';
+
+const problemNamespace = 'urn:ietf:rfc:7807';
+
+const escapeMarkup = function (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+//! Elements named after keys, falling back to <entry name="..."> for invalid names
+const xmlElement = function (name, value) {
+  const valid = /^[A-Za-z_][\w.-]*$/.test(name) && !/^xml/i.test(name);
+  const open = valid ? name : `entry name="${escapeMarkup(name)}"`;
+  const close = valid ? name : 'entry';
+  if (value === null || value === undefined) return `<${open}/>`;
+  if (Array.isArray(value)) {
+    const items = value.map((item) => xmlElement('item', item)).join('');
+    return `<${open}>${items}</${close}>`;
+  }
+  if (isPlainObject(value)) {
+    const children = Object.entries(value)
+      .map(([key, child]) => xmlElement(key, child))
+      .join('');
+    return `<${open}>${children}</${close}>`;
+  }
+  const text = value instanceof Date ? value.toISOString() : value;
+  return `<${open}>${escapeMarkup(text)}</${close}>`;
+};
+
+const toXml = function (body) {
+  const root = isProblem(body)
+    ? `problem xmlns="${problemNamespace}"`
+    : 'response';
+  const children = Object.entries(body)
+    .map(([key, value]) => xmlElement(key, value))
+    .join('');
+  const close = root.split(' ')[0];
+  return `<?xml version="1.0" encoding="utf-8"?><${root}>${children}</${close}>`;
+};
+
+//! Status line text in the locale and the message of an envelope or Problem Details object
+const summary = function (body, status, locale) {
+  const title =
+    statusMessage(status, locale) ||
+    getStatus(status)?.phrase ||
+    body.title ||
+    '';
+  const detail = isProblem(body) ? body.detail : body.message;
+  return {
+    title: `${status} ${title}`.trim(),
+    detail: detail && detail !== title ? detail : undefined
+  };
+};
+
+const toText = function (body, status, locale) {
+  const { title, detail } = summary(body, status, locale);
+  return [title, detail, body.stack].filter(Boolean).join('\n\n') + '\n';
+};
+
+const toHtml = function (body, status, locale) {
+  const { title, detail } = summary(body, status, locale);
+  return (
+    `<!DOCTYPE html><html lang="${escapeMarkup(locale)}">` +
+    '<head><meta charset="utf-8">' +
+    `<title>${escapeMarkup(title)}</title></head><body>` +
+    `<h1>${escapeMarkup(title)}</h1>` +
+    (detail ? `<p>${escapeMarkup(detail)}</p>` : '') +
+    (body.stack ? `<pre>${escapeMarkup(body.stack)}</pre>` : '') +
+    '</body></html>'
+  );
+};
+
+const asProblem = function (body, status) {
+  return isProblem(body) ? body : toProblem({ ...body, status });
+};
+
+/*
+ * Supported media types in order of preference, problem variants only for
+ * 4xx/5xx. JSON bodies that are already Problem Details keep their media type
+ */
+const formats = [
+  {
+    type: 'application/json',
+    contentType: (body) =>
+      isProblem(body) ? problemContentType : 'application/json; charset=utf-8',
+    render: (body) => JSON.stringify(body)
+  },
+  {
+    type: 'application/problem+json',
+    errorsOnly: true,
+    contentType: () => problemContentType,
+    render: (body, status) => JSON.stringify(asProblem(body, status))
+  },
+  {
+    type: 'application/xml',
+    contentType: () => 'application/xml; charset=utf-8',
+    render: (body) => toXml(body)
+  },
+  {
+    type: 'application/problem+xml',
+    errorsOnly: true,
+    contentType: () => 'application/problem+xml; charset=utf-8',
+    render: (body, status) => toXml(asProblem(body, status))
+  },
+  {
+    type: 'text/plain',
+    contentType: () => 'text/plain; charset=utf-8',
+    render: toText
+  },
+  {
+    type: 'text/html',
+    contentType: () => 'text/html; charset=utf-8',
+    render: toHtml
+  }
+];
+
+//! [{ type, q }] from an Accept header, a missing header accepting everything
+const parseAccept = function (accept) {
+  if (!accept || !String(accept).trim()) return [{ type: '*/*', q: 1 }];
+  return String(accept)
+    .split(',')
+    .map((range) => {
+      const [type, ...params] = range.trim().split(';');
+      const q = params
+        .map((param) => param.trim().split('='))
+        .find(([name]) => name.toLowerCase() === 'q');
+      const quality = q ? Number(q[1]) : 1;
+      return {
+        type: type.trim().toLowerCase(),
+        q: Number.isNaN(quality) ? 0 : quality
+      };
+    })
+    .filter(({ type }) => type.includes('/'));
+};
+
+//! Quality of a media type from its most specific matching range
+const qualityOf = function (type, ranges) {
+  const [main] = type.split('/');
+  const match =
+    ranges.find((range) => range.type === type) ||
+    ranges.find((range) => range.type === `${main}/*`) ||
+    ranges.find((range) => range.type === '*/*');
+  return match ? match.q : 0;
+};
+
+//! Most acceptable format for a status, undefined when none is acceptable
+const pickFormat = function (accept, status) {
+  const ranges = parseAccept(accept);
+  let best;
+  let bestQuality = 0;
+  formats
+    .filter((format) => !format.errorsOnly || status >= 400)
+    .forEach((format) => {
+      const quality = qualityOf(format.type, ranges);
+      if (quality > bestQuality) {
+        best = format;
+        bestQuality = quality;
+      }
+    });
+  return best;
+};
+
+/*
+ * Returns { status, headers, body } for an envelope (or Problem Details
+ * object) and an Accept header. headers carries the envelope's headers plus
+ * Content-Type and Vary: Accept. When no format is acceptable the answer is
+ * notAcceptable() (406) as JSON, listing the available media types.
+ * options { locale, acceptLanguage } pick the language of the text and HTML
+ * titles, like the helpers' options, see src/i18n.js
+ */
+const serialize = function (envelope, accept, options = {}) {
+  const status = statusOf(envelope);
+  const { headers, ...body } = envelope;
+  const format = pickFormat(accept, status);
+  if (!format) {
+    const available = formats
+      .filter((item) => !item.errorsOnly || status >= 400)
+      .map((item) => item.type);
+    const fallback = notAcceptable(undefined, { available });
+    return {
+      status: fallback.status,
+      headers: {
+        'Content-Type': formats[0].contentType(fallback),
+        Vary: 'Accept'
+      },
+      body: JSON.stringify(fallback)
+    };
+  }
+  return {
+    status,
+    headers: {
+      ...headers,
+      'Content-Type': format.contentType(body),
+      Vary: 'Accept'
+    },
+    body: format.render(body, status, localeOf(options))
+  };
+};
+
+export default serialize;
@@ -0,0 +1,182 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: OpenAPI 3.1 components describing the envelope (or Problem
+ * Details) returned by the helpers, with example bodies taken from them
+ * REFS:
+ * * Components Object: https://spec.openapis.org/oas/v3.1.0#components-object
+ */
+
+import { settings } from './config.js';
+import { customHelpers } from './custom.js';
+import * as helpers from './helpers.js';
+import { problemContentType } from './problem.js';
+import { getStatus, statuses } from './statuses.js';
+import { withOptions } from './utils.js';
+
+//! Statuses answered without a body
+const noContentStatuses = [204, 205, 304];
+
+const envelopeSchemas = {
+  ValidationError: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'Dotted path of the field' },
+      pointer: { type: 'string', description: 'JSON Pointer of the field' },
+      code: { type: 'string' },
+      message: { type: 'string' }
+    },
+    required: ['message']
+  },
+  Envelope: {
+    type: 'object',
+    properties: {
+      status: { type: 'integer', minimum: 100, maximum: 599 },
+      message: { type: 'string' },
+      stack: {
+        type: 'string',
+        description: 'Stack trace, only sent when the stack policy includes it'
+      },
+      errorId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'Sent instead of the stack trace when it is redacted'
+      },
+      data: { description: 'Payload of the response' },
+      errors: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/ValidationError' }
+      },
+      meta: { type: 'object' },
+      links: {
+        type: 'object',
+        additionalProperties: {
+          type: ['string', 'null'],
+          format: 'uri-reference'
+        }
+      }
+    },
+    required: ['status', 'data']
+  }
+};
+
+const problemSchemas = {
+  ProblemDetails: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', format: 'uri-reference', default: 'about:blank' },
+      title: { type: 'string' },
+      status: { type: 'integer', minimum: 400, maximum: 599 },
+      detail: { type: 'string' },
+      instance: { type: 'string', format: 'uri-reference' }
+    },
+    additionalProperties: true
+  }
+};
+
+//! Headers set through the helper options, see src/headers.js
+const stringHeader = (description) => ({
+  description,
+  schema: { type: 'string' }
+});
+const location = stringHeader('URL of the target resource');
+const retryAfter = stringHeader('Seconds or HTTP date to wait before retrying');
+const headersByStatus = {
+  201: { Location: location },
+  202: { Location: location, 'Retry-After': retryAfter },
+  206: { 'Content-Range': stringHeader('Range of the items returned') },
+  301: { Location: location },
+  302: { Location: location },
+  303: { Location: location },
+  307: { Location: location },
+  308: { Location: location },
+  401: { 'WWW-Authenticate': stringHeader('Authentication challenge') },
+  405: { Allow: stringHeader('Methods supported by the resource') },
+  416: { 'Content-Range': stringHeader('Size of the resource: bytes */n') },
+  429: { 'Retry-After': retryAfter },
+  503: { 'Retry-After': retryAfter }
+};
+
+//! 'notFound' to 'NotFound', the name of the response component
+const componentName = function (name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+const toEntry = function (code) {
+  const entry = getStatus(code);
+  if (!entry) {
+    throw new RangeError(`${code} is not a status of the registry`);
+  }
+  return entry;
+};
+
+//! Options the helpers of these statuses cannot be called without
+const requiredOptions = {
+  301: { location: '/' },
+  302: { location: '/' },
+  303: { location: '/' },
+  307: { location: '/' },
+  308: { location: '/' },
+  405: { allow: ['GET'] }
+};
+
+const responseObject = function (entry, format, all) {
+  const { code, name, phrase } = entry;
+  const object = { description: entry.description || phrase };
+  // Copies, so shared header objects do not turn into YAML aliases
+  if (headersByStatus[code]) {
+    object.headers = structuredClone(headersByStatus[code]);
+  }
+  if (code < 200 || noContentStatuses.includes(code)) return object;
+
+  const { headers, ...example } = all[name](
+    withOptions({ ...requiredOptions[code], format })
+  );
+  const problem = format === 'problem' && code >= 400;
+  const schema = {
+    allOf: [
+      {
+        $ref: problem
+          ? '#/components/schemas/ProblemDetails'
+          : '#/components/schemas/Envelope'
+      },
+      { type: 'object', properties: { status: { const: code } } }
+    ]
+  };
+  const contentType = problem ? problemContentType : 'application/json';
+  object.content = { [contentType]: { schema, example } };
+  return object;
+};
+
+/*
+ * { responses, schemas } to spread into an OpenAPI 3.1 components object:
+ * * codes: status codes or helper names to describe, defaults to the registry
+ * * format: 'envelope' or 'problem' for the 4xx/5xx bodies, defaults to
+ *   settings.format
+ * Responses are named after their helper, e.g. NotFound, and reference the
+ * Envelope, ValidationError and (with format 'problem') ProblemDetails schemas
+ */
+const openApiComponents = function (options = {}) {
+  const { codes = statuses.map(({ code }) => code), format = settings.format } =
+    options;
+  if (!Array.isArray(codes)) {
+    throw new TypeError('codes must be an array of status codes or names');
+  }
+  const entries = codes.map(toEntry);
+  const all = { ...helpers, ...customHelpers };
+  const responses = {};
+  entries.forEach((entry) => {
+    responses[componentName(entry.name)] = responseObject(entry, format, all);
+  });
+  const withProblem =
+    format === 'problem' && entries.some(({ code }) => code >= 400);
+  return {
+    responses,
+    schemas: structuredClone({
+      ...envelopeSchemas,
+      ...(withProblem ? problemSchemas : {})
+    })
+  };
+};
+
+export default openApiComponents;
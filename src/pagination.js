@@ -0,0 +1,252 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Collection helpers building the envelope with a meta block
+ * and self/next/prev/first/last links, for page, cursor and range pagination
+ * REFS:
+ * * Link: https://www.rfc-editor.org/rfc/rfc8288
+ * * Content-Range: https://www.rfc-editor.org/rfc/rfc9110#field.content-range
+ */
+
+import { partialContent, rangeNotSatisfiable, success } from './helpers.js';
+import { withOptions } from './utils.js';
+
+// Base used to resolve relative URLs, stripped again from the generated links
+const localBase = 'http://localhost';
+
+const assertItems = function (items) {
+  if (!Array.isArray(items)) {
+    throw new TypeError('items must be an array');
+  }
+};
+
+const assertCount = function (name, value, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new TypeError(
+      `${name} must be an integer of at least ${min}, got ${value}`
+    );
+  }
+};
+
+//! url with the given query parameters set, or removed when null
+const withParams = function (url, params) {
+  const target = new URL(url, localBase);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === null || value === undefined) target.searchParams.delete(name);
+    else target.searchParams.set(name, String(value));
+  });
+  const relative = !/^[a-z][a-z\d+.-]*:/i.test(url);
+  return relative ? `${target.pathname}${target.search}` : target.href;
+};
+
+//! Link header value for the links that are set, self excluded
+const linkHeader = function (links) {
+  return Object.entries(links)
+    .filter(([rel, href]) => rel !== 'self' && href)
+    .map(([rel, href]) => `<${href}>; rel="${rel}"`)
+    .join(', ');
+};
+
+const withLinkHeader = function (options, links) {
+  const link = links && linkHeader(links);
+  if (!link) return options.headers;
+  return { ...options.headers, Link: link };
+};
+
+/*
+ * Page based pagination: paginated(items, { page, pageSize, total, url, ... })
+ * * page: 1-based page number, defaults to 1
+ * * pageSize: required, the number of items per page
+ * * total: total number of items, adds totalPages and the last link when known
+ * * url: URL of the collection, links are only generated when set
+ * * pageParam, pageSizeParam: query parameter names, default page and pageSize
+ * Any other option is passed on to success()
+ */
+const paginated = function (items, options = {}) {
+  const {
+    page = 1,
+    pageSize,
+    total,
+    url,
+    pageParam = 'page',
+    pageSizeParam = 'pageSize',
+    ...rest
+  } = options;
+  assertItems(items);
+  assertCount('page', page, 1);
+  assertCount('pageSize', pageSize, 1);
+  if (total !== undefined) assertCount('total', total, 0);
+
+  const meta = { page, pageSize, count: items.length };
+  let hasNext = items.length === pageSize;
+  if (total !== undefined) {
+    meta.total = total;
+    meta.totalPages = Math.ceil(total / pageSize);
+    hasNext = page < meta.totalPages;
+  }
+
+  let links;
+  if (url) {
+    const at = (target) =>
+      withParams(url, { [pageParam]: target, [pageSizeParam]: pageSize });
+    links = {
+      self: at(page),
+      first: at(1),
+      prev: page > 1 ? at(page - 1) : null,
+      next: hasNext ? at(page + 1) : null,
+      last: meta.totalPages ? at(meta.totalPages) : null
+    };
+  }
+  return success(
+    withOptions({
+      ...rest,
+      data: items,
+      meta,
+      links,
+      headers: withLinkHeader(rest, links)
+    })
+  );
+};
+
+/*
+ * Cursor based pagination:
+ * cursorPaginated(items, { cursor, nextCursor, prevCursor, limit, url, ... })
+ * * cursor: cursor of the current page, nextCursor/prevCursor of its neighbours
+ * * limit: page size
+ * * url: URL of the collection, links are only generated when set
+ * * cursorParam, limitParam: query parameter names, default cursor and limit
+ * Any other option is passed on to success()
+ */
+const cursorPaginated = function (items, options = {}) {
+  const {
+    cursor = null,
+    nextCursor = null,
+    prevCursor = null,
+    limit,
+    url,
+    cursorParam = 'cursor',
+    limitParam = 'limit',
+    ...rest
+  } = options;
+  assertItems(items);
+  if (limit !== undefined) assertCount('limit', limit, 1);
+
+  const meta = {
+    cursor,
+    nextCursor,
+    prevCursor,
+    limit,
+    count: items.length,
+    hasMore: nextCursor !== null
+  };
+
+  let links;
+  if (url) {
+    const at = (target) =>
+      withParams(url, { [cursorParam]: target, [limitParam]: limit });
+    links = {
+      self: at(cursor),
+      first: at(null),
+      prev: prevCursor !== null ? at(prevCursor) : null,
+      next: nextCursor !== null ? at(nextCursor) : null
+    };
+  }
+  return success(
+    withOptions({
+      ...rest,
+      data: items,
+      meta,
+      links,
+      headers: withLinkHeader(rest, links)
+    })
+  );
+};
+
+/*
+ * Range based collections: ranged(items, { start, total, unit, url, ... })
+ * * start: 0-based offset of the first item, defaults to 0
+ * * total: total number of items, '*' is sent in Content-Range when unknown
+ * * unit: range unit of the Content-Range header, defaults to items
+ * * limit: size of the ranges used for the links, defaults to items.length
+ * * url: URL of the collection, links are only generated when set
+ * * offsetParam, limitParam: query parameter names, default offset and limit
+ * Answers 206 partialContent() when the range is part of the collection,
+ * success() when it covers all of it (or the collection is empty) and
+ * rangeNotSatisfiable() when no item is left at start. Any other option is
+ * passed on to the helper
+ */
+const ranged = function (items, options = {}) {
+  const {
+    start = 0,
+    total,
+    unit = 'items',
+    limit = items?.length,
+    url,
+    offsetParam = 'offset',
+    limitParam = 'limit',
+    ...rest
+  } = options;
+  assertItems(items);
+  assertCount('start', start, 0);
+  if (total !== undefined) assertCount('total', total, 0);
+
+  if (!items.length) {
+    if (start === 0 && !total) {
+      return success(
+        withOptions({ ...rest, data: items, meta: { start, count: 0 } })
+      );
+    }
+    const size = total === undefined ? '*' : total;
+    return rangeNotSatisfiable(
+      withOptions({
+        ...rest,
+        headers: { ...rest.headers, 'Content-Range': `${unit} */${size}` }
+      })
+    );
+  }
+
+  const end = start + items.length - 1;
+  const meta = { start, end, count: items.length, total };
+  if (total === undefined) delete meta.total;
+
+  let links;
+  if (url && limit) {
+    const at = (offset) =>
+      withParams(url, { [offsetParam]: offset, [limitParam]: limit });
+    const lastStart =
+      total === undefined
+        ? null
+        : Math.max(0, (Math.ceil(total / limit) - 1) * limit);
+    const hasNext =
+      total === undefined ? items.length === limit : end + 1 < total;
+    links = {
+      self: at(start),
+      first: at(0),
+      prev: start > 0 ? at(Math.max(0, start - limit)) : null,
+      next: hasNext ? at(end + 1) : null,
+      last: lastStart === null ? null : at(lastStart)
+    };
+  }
+
+  const headers = withLinkHeader(rest, links);
+  const complete = start === 0 && total !== undefined && items.length >= total;
+  if (complete) {
+    return success(withOptions({ ...rest, data: items, meta, links, headers }));
+  }
+
+  const size = total === undefined ? '*' : total;
+  return partialContent(
+    withOptions({
+      ...rest,
+      data: items,
+      meta,
+      links,
+      headers: {
+        ...headers,
+        'Content-Range': `${unit} ${start}-${end}/${size}`
+      }
+    })
+  );
+};
+
+export { paginated, cursorPaginated, ranged };
@@ -0,0 +1,123 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Normalizes upstream responses back into the envelope, for
+ * fetch Responses, node:http IncomingMessages and raw status/body pairs
+ */
+
+import { getStatus } from './statuses.js';
+import { isPlainObject } from './utils.js';
+
+//! Problem Details members that are not carried over into data
+const problemMembers = ['status', 'title', 'detail'];
+
+const readStream = async function (stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+//! { status, contentType, body } from any of the supported inputs
+const read = async function (input, body) {
+  if (typeof input === 'number') return { status: input, body };
+  if (!input || typeof input !== 'object') {
+    throw new TypeError(
+      'fromResponse expects a fetch Response, an IncomingMessage or { status, body }'
+    );
+  }
+  // fetch Response
+  if (
+    typeof input.text === 'function' &&
+    typeof input.headers?.get === 'function'
+  ) {
+    return {
+      status: input.status,
+      contentType: input.headers.get('content-type'),
+      body: await input.text()
+    };
+  }
+  // node:http IncomingMessage
+  if (Number.isInteger(input.statusCode) && input[Symbol.asyncIterator]) {
+    return {
+      status: input.statusCode,
+      contentType: input.headers?.['content-type'],
+      body: await readStream(input)
+    };
+  }
+  const headers = input.headers || {};
+  return {
+    status: input.status,
+    contentType: headers['content-type'] || headers['Content-Type'],
+    body: input.body
+  };
+};
+
+//! Parses JSON bodies, keeps anything else as text
+const parseBody = function (body, contentType = '') {
+  if (Buffer.isBuffer(body)) body = body.toString('utf8');
+  if (typeof body !== 'string') return body;
+  if (!body.trim()) return undefined;
+  const json = /[/+]json\b/i.test(contentType);
+  if (json || (!contentType && /^\s*[[{]/.test(body))) {
+    try {
+      return JSON.parse(body);
+    } catch {
+      if (json) return body;
+    }
+  }
+  return body;
+};
+
+const isEnvelope = function (body) {
+  return (
+    isPlainObject(body) &&
+    typeof body.status === 'number' &&
+    ('data' in body || 'message' in body)
+  );
+};
+
+const isProblemBody = function (body, contentType = '') {
+  return (
+    isPlainObject(body) &&
+    (/application\/problem\+json/i.test(contentType) ||
+      (typeof body.title === 'string' && typeof body.type === 'string'))
+  );
+};
+
+/*
+ * Returns a Promise of { status, message, data }:
+ * * problem+json: message from detail (or title), the other members as data
+ * * our envelope: its message and data
+ * * anything else: the reason phrase as message and the parsed body as data
+ * The status always comes from the transport, not from the body.
+ * Accepts fromResponse(fetchResponse), fromResponse(incomingMessage),
+ * fromResponse({ status, body, headers }) or fromResponse(status, body)
+ */
+const fromResponse = async function (input, rawBody) {
+  const { status, contentType, body } = await read(input, rawBody);
+  if (!Number.isInteger(status)) {
+    throw new TypeError(`fromResponse could not find a status, got ${status}`);
+  }
+  const parsed = parseBody(body, contentType || undefined);
+  const phrase = getStatus(status)?.phrase;
+
+  if (isProblemBody(parsed, contentType || undefined)) {
+    const data = {};
+    Object.keys(parsed).forEach((key) => {
+      if (!problemMembers.includes(key)) data[key] = parsed[key];
+    });
+    return { status, message: parsed.detail || parsed.title || phrase, data };
+  }
+  if (isEnvelope(parsed)) {
+    return {
+      status,
+      message: parsed.message || phrase,
+      data: parsed.data ?? {}
+    };
+  }
+  return { status, message: phrase, data: parsed ?? {} };
+};
+
+export default fromResponse;
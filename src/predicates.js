@@ -0,0 +1,57 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Status class predicates taking a status code, an envelope,
+ * a Problem Details object or an HttpError
+ */
+
+import { getStatus } from './statuses.js';
+import { statusOf } from './utils.js';
+
+const toStatus = function (value) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object') return statusOf(value);
+  return undefined;
+};
+
+const inRange = function (value, min, max) {
+  const status = toStatus(value);
+  return Number.isInteger(status) && status >= min && status <= max;
+};
+
+const isInformational = function (value) {
+  return inRange(value, 100, 199);
+};
+
+const isSuccess = function (value) {
+  return inRange(value, 200, 299);
+};
+
+const isRedirect = function (value) {
+  return inRange(value, 300, 399);
+};
+
+const isClientError = function (value) {
+  return inRange(value, 400, 499);
+};
+
+const isServerError = function (value) {
+  return inRange(value, 500, 599);
+};
+
+/*
+ * Whether the request may be retried later, from the registry's retryable flag:
+ * 408, 429, 502, 503, 504 and the ELB 460/464 are, 501 and unknown codes are not
+ */
+const isRetryable = function (value) {
+  return Boolean(getStatus(toStatus(value))?.retryable);
+};
+
+export {
+  isInformational,
+  isSuccess,
+  isRedirect,
+  isClientError,
+  isServerError,
+  isRetryable
+};
@@ -0,0 +1,57 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Converts the response envelope into an RFC 9457 Problem Details object
+ * REFS:
+ * * RFC 9457: https://www.rfc-editor.org/rfc/rfc9457
+ */
+
+import { getStatus } from './statuses.js';
+import { isPlainObject } from './utils.js';
+
+const problemContentType = 'application/problem+json';
+
+/*
+ * Maps { status, message, data, stack, errorId, errors } onto the problem members:
+ * * type: options.type, defaults to 'about:blank'
+ * * title: options.title, defaults to the reason phrase
+ * * detail: the envelope message, left out when it only repeats the title
+ * * instance: options.instance
+ * Plain object data and options.extensions become extension members,
+ * any other data is kept under a data member. Extensions never override
+ * the members above
+ */
+const toProblem = function (envelope, options = {}) {
+  const { status, message, data, stack, errorId, errors } = envelope;
+  const extensions = {};
+  if (isPlainObject(data)) Object.assign(extensions, data);
+  else if (data !== undefined) extensions.data = data;
+  if (stack !== undefined) extensions.stack = stack;
+  if (errorId !== undefined) extensions.errorId = errorId;
+  if (errors !== undefined) extensions.errors = errors;
+  Object.assign(extensions, options.extensions);
+
+  const problem = {
+    type: options.type || 'about:blank',
+    title: options.title || getStatus(status)?.phrase || message,
+    status
+  };
+  if (message && message !== problem.title) problem.detail = message;
+  if (options.instance) problem.instance = options.instance;
+  Object.keys(extensions).forEach((key) => {
+    if (!(key in problem)) problem[key] = extensions[key];
+  });
+  return problem;
+};
+
+//! Whether a body is a Problem Details object rather than the envelope
+const isProblem = function (body) {
+  return (
+    isPlainObject(body) &&
+    typeof body.type === 'string' &&
+    typeof body.title === 'string' &&
+    typeof body.status === 'number'
+  );
+};
+
+export { problemContentType, toProblem, isProblem };
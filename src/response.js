@@ -0,0 +1,112 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Builds the response envelope returned by every helper
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { settings } from './config.js';
+import buildHeaders from './headers.js';
+import { localeOf, statusMessage, translate } from './i18n.js';
+import { toProblem } from './problem.js';
+import { getStatus } from './statuses.js';
+import { isOptions, isPlainObject } from './utils.js';
+import validate from './validate.js';
+import { toErrorArray } from './validation.js';
+
+/*
+ * Message used when none is passed: the configured catalog, then the locale's
+ * built-in message, then the reason phrase
+ */
+const defaultMessage = function (status, locale = settings.locale) {
+  const { messages } = settings;
+  const message =
+    typeof messages === 'function' ? messages(status) : messages?.[status];
+  if (message !== undefined && message !== null) return message;
+  return statusMessage(status, locale) ?? getStatus(status)?.phrase;
+};
+
+//! Stack policy from the settings, see src/config.js
+const stackPolicy = function () {
+  if (settings.stack) return settings.stack;
+  return process.env.NODE_ENV === 'development' ? 'include' : 'omit';
+};
+
+const applyStack = function (res, trace) {
+  const policy = stackPolicy();
+  if (policy === 'include') {
+    res.stack = trace;
+  } else if (policy === 'redact') {
+    res.errorId = randomUUID();
+    settings.logger(res.errorId, trace);
+  }
+};
+
+//! A 401 always carries a challenge, settings.authenticate unless one is set
+const withChallenge = function (opts) {
+  const set = Object.keys(opts.headers || {}).some(
+    (name) => name.toLowerCase() === 'www-authenticate'
+  );
+  if (set || opts.authenticate !== undefined) return opts;
+  return { ...opts, authenticate: settings.authenticate };
+};
+
+/*
+ * Every helper in src/helpers.js accepts the same arguments as response():
+ * * message: string, an Error (its message and stack are used) or the options:
+ *   a plain object holding only option keys, or any object marked by
+ *   withOptions(). Any other plain object is taken as data.
+ *   Defaults to the configured message catalog, then to the standard reason phrase
+ * * data: payload returned to the client, defaults to {}
+ * * stack: stack trace string or an Error whose stack is used. Whether it reaches
+ *   the envelope depends on the stack policy, see src/config.js
+ * * options: { message, data, stack }, used when the positional argument is missing,
+ *   { format, type, title, instance, extensions } for Problem Details output and
+ *   { headers, location, retryAfter, authenticate, allow, size } for the headers
+ *   map, see src/headers.js, { errors } for field level validation errors,
+ *   see src/validation.js, and { meta, links } added next to data for
+ *   collections, see src/pagination.js, and { key, params, locale,
+ *   acceptLanguage } for localized messages, see src/i18n.js
+ */
+const response = function (status, message, data, stack, options) {
+  if (isOptions(message)) {
+    return response(status, undefined, data, stack, { ...options, ...message });
+  }
+  if (isPlainObject(message) && data === undefined) {
+    return response(status, undefined, message, stack, options);
+  }
+  const opts = options || {};
+  if (message instanceof Error) {
+    if (stack === undefined) stack = message;
+    message = message.message;
+  }
+  if (message === undefined) message = opts.message;
+  if (data === undefined) data = opts.data;
+  if (stack === undefined) stack = opts.stack;
+  if (message === undefined || message === null) {
+    const locale = localeOf(opts);
+    if (opts.key) message = translate(opts.key, opts.params, locale);
+    message ??= defaultMessage(status, locale);
+  }
+  if (settings.strict) validate(status, message, data);
+
+  const res = {};
+  res.status = status;
+  if (message) res.message = message;
+  const trace = stack instanceof Error ? stack.stack : stack;
+  if (trace) applyStack(res, trace);
+  res.data = data || {};
+  if (opts.errors) res.errors = toErrorArray(opts.errors);
+  if (opts.meta) res.meta = opts.meta;
+  if (opts.links) res.links = opts.links;
+
+  const headers = buildHeaders(status === 401 ? withChallenge(opts) : opts);
+  const format = opts.format || settings.format;
+  const out =
+    format === 'problem' && status >= 400 ? toProblem(res, opts) : res;
+  if (headers) out.headers = headers;
+  return out;
+};
+
+export { response, defaultMessage };
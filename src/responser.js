@@ -0,0 +1,92 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Factory returning the full set of helpers bound to a custom
+ * envelope shape
+ */
+
+import { customHelpers } from './custom.js';
+import * as helpers from './helpers.js';
+import { isProblem } from './problem.js';
+import { response } from './response.js';
+import { envelopeStatus } from './utils.js';
+
+//! Functions of the request are skipped when there is none to pass them
+const valueOf = function (option, req) {
+  if (typeof option !== 'function') return option;
+  return req === undefined ? undefined : option(req);
+};
+
+const isEmpty = function (data) {
+  return (
+    data === undefined ||
+    data === null ||
+    (typeof data === 'object' && !Object.keys(data).length)
+  );
+};
+
+/*
+ * Options:
+ * * keys: renames envelope keys, e.g. { status: 'code', data: 'result' }.
+ *   Covers status, success, message, stack, errorId, data, timestamp, requestId, path
+ * * success: true adds success: status < 400
+ * * timestamp: true adds the ISO time of the response, or a function returning it
+ * * requestId, path: value or function of the request returning it, added
+ *   when set. The request is the one shape(envelope, req) gets, which
+ *   responser() and errorHandler() pass, e.g. path: (req) => req.originalUrl.
+ *   Functions are not called for the helpers of the instance, which have no
+ *   request: shape their envelope with api.shape(notFound(), req)
+ * * emptyData: 'object' (default) keeps {}, 'null' sends null, 'omit' drops the key
+ * * transform: (envelope, original) => envelope, runs last
+ * Problem Details objects keep their RFC 9457 members and only go through transform.
+ * Helpers added with registerStatus() are included when registered beforehand
+ */
+const createResponser = function (options = {}) {
+  const keys = options.keys || {};
+  const key = (name) => keys[name] || name;
+
+  const shape = function (original, req) {
+    const { transform } = options;
+    if (isProblem(original)) {
+      return transform ? transform({ ...original }, original) : original;
+    }
+    const { status, headers, ...rest } = original;
+    const envelope = { [key('status')]: status };
+    if (options.success) envelope[key('success')] = status < 400;
+    Object.keys(rest).forEach((name) => {
+      envelope[key(name)] = rest[name];
+    });
+
+    if (isEmpty(rest.data)) {
+      if (options.emptyData === 'null') envelope[key('data')] = null;
+      if (options.emptyData === 'omit') delete envelope[key('data')];
+    }
+    if (options.timestamp) {
+      envelope[key('timestamp')] =
+        options.timestamp === true
+          ? new Date().toISOString()
+          : options.timestamp();
+    }
+    ['requestId', 'path'].forEach((name) => {
+      const value = valueOf(options[name], req);
+      if (value !== undefined) envelope[key(name)] = value;
+    });
+    if (headers) envelope.headers = headers;
+
+    const shaped = transform ? transform(envelope, original) : envelope;
+    Object.defineProperty(shaped, envelopeStatus, { value: status });
+    return shaped;
+  };
+
+  const responser = {
+    shape,
+    response: (...args) => shape(response(...args))
+  };
+  const all = { ...helpers, ...customHelpers };
+  Object.keys(all).forEach((name) => {
+    responser[name] = (...args) => shape(all[name](...args));
+  });
+  return responser;
+};
+
+export default createResponser;
@@ -0,0 +1,651 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Registry of every status code the library knows about,
+ * with its reason phrase, class, origin and description
+ * REFS:
+ * * Status Codes: https://developer.mozilla.org/en-US/docs/Web/HTTP/Status
+ * * AWS ELB: https://docs.aws.amazon.com/elasticloadbalancing/latest/application/load-balancer-troubleshooting.html
+ */
+
+/*
+ * kind is one of:
+ * * standard: defined by the HTTP specification
+ * * webdav: defined by the WebDAV extensions
+ * * elb: returned by the AWS Elastic Load Balancer
+ * Statuses added with registerStatus() use their pack name (nginx, cloudflare,
+ * iis) or custom.
+ * retryable marks statuses a client may safely retry later, it defaults to false
+ */
+const statuses = [
+  //! Informational responses (100-199)
+  {
+    code: 100,
+    name: 'continueResponse',
+    phrase: 'Continue',
+    kind: 'standard',
+    description:
+      'This interim response indicates that the client should continue ' +
+      'the request or ignore the response if the request is already finished'
+  },
+  {
+    code: 101,
+    name: 'switchingProtocols',
+    phrase: 'Switching Protocols',
+    kind: 'standard',
+    description:
+      'This code is sent in response to an Upgrade request header from the client ' +
+      'and indicates the protocol the server is switching to'
+  },
+  {
+    code: 102,
+    name: 'processing',
+    phrase: 'Processing',
+    kind: 'webdav',
+    description:
+      'This code indicates that the server has received and ' +
+      'is processing the request, but no response is available yet.'
+  },
+  //! Successful responses (200-299)
+  {
+    code: 200,
+    name: 'success',
+    phrase: 'OK',
+    kind: 'standard',
+    description:
+      'The request succeeded. The resulting meaning of "success" depends on the HTTP method:\n' +
+      '* GET: The resource has been fetched and transmitted in the message body.\n' +
+      '* HEAD: The representation headers are included in the response without any message body.\n' +
+      '* PUT or POST: The resource describing the result of the action is transmitted in the message body\n' +
+      '* TRACE: The message body contains the request message as received by the server'
+  },
+  {
+    code: 201,
+    name: 'created',
+    phrase: 'Created',
+    kind: 'standard',
+    description:
+      'The request succeeded, and a new resource was created as a result. ' +
+      'This is typically the response sent after POST request, or some PUT requests.'
+  },
+  {
+    code: 202,
+    name: 'accepted',
+    phrase: 'Accepted',
+    kind: 'standard',
+    description:
+      'The request has been received but not yet acted upon. It is noncommittal, ' +
+      'since there is no way in HTTP to later send an asynchronous response indicating ' +
+      'the outcome of the request. It is intended for cases where another process ' +
+      'or server handles the request, or for batch processing'
+  },
+  {
+    code: 203,
+    name: 'nonAuthoritativeInfo',
+    phrase: 'Non-Authoritative Information',
+    kind: 'standard',
+    description:
+      'This response code means the returned metadata is not exactly the same as is ' +
+      'available from the origin server, but is collected from local or a third-party copy. ' +
+      'This is mostly used for mirrors or backups of another resource. ' +
+      'Except for that specific case, the 200 OK response is preferred to this status'
+  },
+  {
+    code: 204,
+    name: 'noContent',
+    phrase: 'No Content',
+    kind: 'standard',
+    description:
+      'There is no content to send for this request, but the headers may be useful. ' +
+      'The user agent may update its cached headers for this resource with the new ones.'
+  },
+  {
+    code: 205,
+    name: 'resetContent',
+    phrase: 'Reset Content',
+    kind: 'standard',
+    description:
+      'Tells the user agent to reset the document which sent this request'
+  },
+  {
+    code: 206,
+    name: 'partialContent',
+    phrase: 'Partial Content',
+    kind: 'standard',
+    description:
+      'This response code is used when the Range header is sent from the client ' +
+      'to request only part of a resource'
+  },
+  {
+    code: 207,
+    name: 'multiStatus',
+    phrase: 'Multi-Status',
+    kind: 'webdav',
+    description:
+      'Conveys information about multiple resources, for situations where multiple ' +
+      'status codes might be appropriate.'
+  },
+  {
+    code: 208,
+    name: 'alreadyReported',
+    phrase: 'Already Reported',
+    kind: 'webdav',
+    description:
+      'Used inside a <dav:propstat> response element to avoid repeatedly enumerating ' +
+      'the internal members of multiple bindings to the same collection'
+  },
+  {
+    code: 226,
+    name: 'imUsed',
+    phrase: 'IM Used',
+    kind: 'standard',
+    description:
+      'The server has fulfilled a GET request for the resource, ' +
+      'and the response is a representation of the result of ' +
+      'one or more instance-manipulations applied to the current instance'
+  },
+  //! Redirection messages (300-399)
+  {
+    code: 300,
+    name: 'multipleChoices',
+    phrase: 'Multiple Choices',
+    kind: 'standard',
+    description:
+      'The request has more than one possible response. The user agent or user should ' +
+      'choose one of them. (There is no standardized way of choosing one of the responses, ' +
+      'but HTML links to the possibilities are recommended so the user can pick)'
+  },
+  {
+    code: 301,
+    name: 'movedPermanently',
+    phrase: 'Moved Permanently',
+    kind: 'standard',
+    description:
+      'The URL of the requested resource has been changed permanently. ' +
+      'The new URL is given in the response.'
+  },
+  {
+    code: 302,
+    name: 'found',
+    phrase: 'Found',
+    kind: 'standard',
+    description:
+      'This response code means that the URI of requested resource ' +
+      'has been changed temporarily. Further changes in the URI might be made in the future. ' +
+      'Therefore, this same URI should be used by the client in future requests.'
+  },
+  {
+    code: 303,
+    name: 'seeOther',
+    phrase: 'See Other',
+    kind: 'standard',
+    description:
+      'The server sent this response to direct the client to get the request resource ' +
+      'at another URI with a GET request.'
+  },
+  {
+    code: 304,
+    name: 'notModified',
+    phrase: 'Not Modified',
+    kind: 'standard',
+    description:
+      'This is used for caching purposes. It tells the client that the response has not been modified, ' +
+      'so the client can continue to use the same cached version of the response.'
+  },
+  {
+    code: 307,
+    name: 'temporaryRedirect',
+    phrase: 'Temporary Redirect',
+    kind: 'standard',
+    description:
+      'The server sends this response to direct the client to get the requested resource ' +
+      'at another URI with the same method that was used in the prior request. ' +
+      'This has the same semantics as the 302 Found HTTP response code, with the exception ' +
+      'that user agent must not change the HTTP method used: if a POST was used in the first request, ' +
+      'a POST must be used in the second request.'
+  },
+  {
+    code: 308,
+    name: 'permanentRedirect',
+    phrase: 'Permanent Redirect',
+    kind: 'standard',
+    description:
+      'This means that the resource is now permanently located at another URI, specified by the ' +
+      'Location: HTTP Response header. This has the same semantics as the 301 Moved Permanently ' +
+      'HTTP response code, with the exception that the user agent must not change the HTTP method ' +
+      'used: if a POST was used in the first request, a POST must be used in the second request.'
+  },
+  //! Client error responses (400-499)
+  {
+    code: 400,
+    name: 'badRequest',
+    phrase: 'Bad Request',
+    kind: 'standard',
+    description:
+      'The server cannot or will not process the request due to something that is perceived to be ' +
+      'a client error (e.g., malformed request syntax, invalid request message framing, or ' +
+      'deceptive request routing).'
+  },
+  {
+    code: 401,
+    name: 'unauthorized',
+    phrase: 'Unauthorized',
+    kind: 'standard',
+    description:
+      'Although the HTTP standard specified "unauthorized", semantically this response means ' +
+      '"unauthenticated". That is, the client must authenticate itself to get the requested response.'
+  },
+  {
+    code: 403,
+    name: 'forbidden',
+    phrase: 'Forbidden',
+    kind: 'standard',
+    description:
+      'The client does not have access rights to the content; that is, it is unauthorized, ' +
+      'so the server is refusing to give the requested resource. Unlike 401 Unauthorized, ' +
+      "the client's identity is known to the server"
+  },
+  {
+    code: 404,
+    name: 'notFound',
+    phrase: 'Not Found',
+    kind: 'standard',
+    description:
+      'The server cannot find the requested resource. In the browser, this means the URL ' +
+      'is not recognized. In an API, this can also mean that the endpoint is valid but ' +
+      'the resource itself does not exist. Servers may also send this response instead of ' +
+      '403 Forbidden to hide the existence of a resource from an unauthorized client. ' +
+      'This response code is probably the most well known due to its frequent occurrence on the web.'
+  },
+  {
+    code: 405,
+    name: 'methodNotAllowed',
+    phrase: 'Method Not Allowed',
+    kind: 'standard',
+    description:
+      'The request method is known by the server but is not supported by the target resource. ' +
+      'For example, an API may not allow calling DELETE to remove a resource.'
+  },
+  {
+    code: 406,
+    name: 'notAcceptable',
+    phrase: 'Not Acceptable',
+    kind: 'standard',
+    description:
+      'This response is sent when the web server, after performing server-driven content negotiation, ' +
+      "doesn't find any content that conforms to the criteria given by the user agent."
+  },
+  {
+    code: 407,
+    name: 'proxyAuthenticationRequired',
+    phrase: 'Proxy Authentication Required',
+    kind: 'standard',
+    description:
+      'This is similar to 401 Unauthorized but authentication is needed to be done by proxy'
+  },
+  {
+    code: 408,
+    name: 'requestTimeout',
+    phrase: 'Request Timeout',
+    kind: 'standard',
+    retryable: true,
+    description:
+      'This response is sent on an idle connection by some servers, even without any previous ' +
+      'request by the client. It means that the server would like to shut down this unused connection.'
+  },
+  {
+    code: 409,
+    name: 'conflict',
+    phrase: 'Conflict',
+    kind: 'standard',
+    description:
+      'This response is sent when a request conflicts with the current state of the server'
+  },
+  {
+    code: 410,
+    name: 'gone',
+    phrase: 'Gone',
+    kind: 'standard',
+    description:
+      'This response is sent when the requested content has been permanently deleted from server, ' +
+      'with no forwarding address. Clients are expected to remove their caches and links to the resource. ' +
+      'The HTTP specification intends this status code to be used for "limited-time, promotional services". ' +
+      'APIs should not feel compelled to indicate resources that have been deleted with this status code.'
+  },
+  {
+    code: 411,
+    name: 'lengthRequired',
+    phrase: 'Length Required',
+    kind: 'standard',
+    description:
+      'Server rejected the request because the Content-Length ' +
+      'header field is not defined and the server requires it.'
+  },
+  {
+    code: 412,
+    name: 'preconditionFailed',
+    phrase: 'Precondition Failed',
+    kind: 'standard',
+    description:
+      'The client has indicated preconditions in its headers which the server does not meet.'
+  },
+  {
+    code: 413,
+    name: 'payloadTooLarge',
+    phrase: 'Payload Too Large',
+    kind: 'standard',
+    description:
+      'Request entity is larger than limits defined by server. The server might close ' +
+      'the connection or return a Retry-After header field.'
+  },
+  {
+    code: 414,
+    name: 'uriTooLong',
+    phrase: 'URI Too Long',
+    kind: 'standard',
+    description:
+      'The URI requested by the client is longer than the server is willing to interpret'
+  },
+  {
+    code: 415,
+    name: 'unsupportedMediaType',
+    phrase: 'Unsupported Media Type',
+    kind: 'standard',
+    description:
+      'The media format of the requested data is not supported by the server, ' +
+      'so the server is rejecting the request'
+  },
+  {
+    code: 416,
+    name: 'rangeNotSatisfiable',
+    phrase: 'Range Not Satisfiable',
+    kind: 'standard',
+    description:
+      'The range specified by the Range header field in the request cannot be fulfilled. ' +
+      "It's possible that the range is outside the size of the target URI's data."
+  },
+  {
+    code: 417,
+    name: 'expectationFailed',
+    phrase: 'Expectation Failed',
+    kind: 'standard',
+    description:
+      'This response code means the expectation indicated by the Expect request header ' +
+      'field cannot be met by the server'
+  },
+  {
+    code: 418,
+    name: 'teapot',
+    phrase: "I'm a teapot",
+    kind: 'standard',
+    description: 'The server refuses the attempt to brew coffee with a teapot'
+  },
+  {
+    code: 421,
+    name: 'misdirectedRequest',
+    phrase: 'Misdirected Request',
+    kind: 'standard',
+    description:
+      'The request was directed at a server that is not able to produce a response. ' +
+      'This can be sent by a server that is not configured to produce responses for ' +
+      'the combination of scheme and authority that are included in the request URI.'
+  },
+  {
+    code: 422,
+    name: 'unprocessableContent',
+    phrase: 'Unprocessable Content',
+    kind: 'webdav',
+    description:
+      'The request was well-formed but was unable to be followed due to semantic errors.'
+  },
+  {
+    code: 423,
+    name: 'locked',
+    phrase: 'Locked',
+    kind: 'webdav',
+    description: 'The resource that is being accessed is locked.'
+  },
+  {
+    code: 424,
+    name: 'failedDependency',
+    phrase: 'Failed Dependency',
+    kind: 'webdav',
+    description: 'The request failed due to failure of a previous request.'
+  },
+  {
+    code: 426,
+    name: 'upgradeRequired',
+    phrase: 'Upgrade Required',
+    kind: 'standard',
+    description:
+      'The server refuses to perform the request using the current protocol ' +
+      'but might be willing to do so after the client upgrades to a different protocol. ' +
+      'The server sends an Upgrade header in a 426 response to indicate the required protocol(s).'
+  },
+  {
+    code: 428,
+    name: 'preconditionRequired',
+    phrase: 'Precondition Required',
+    kind: 'standard',
+    description:
+      'The origin server requires the request to be conditional. This response is intended to prevent ' +
+      "the 'lost update' problem, where a client GETs a resource's state, modifies it and PUTs it back " +
+      'to the server, when meanwhile a third party has modified the state on the server, leading to a conflict.'
+  },
+  {
+    code: 429,
+    name: 'tooManyRequests',
+    phrase: 'Too Many Requests',
+    kind: 'standard',
+    retryable: true,
+    description:
+      'The user has sent too many requests in a given amount of time ("rate limiting").'
+  },
+  {
+    code: 431,
+    name: 'requestHeaderFieldsTooLarge',
+    phrase: 'Request Header Fields Too Large',
+    kind: 'standard',
+    description:
+      'The server is unwilling to process the request because its header fields are too large. ' +
+      'The request may be resubmitted after reducing the size of the request header fields.'
+  },
+  {
+    code: 451,
+    name: 'unavailableForLegalReasons',
+    phrase: 'Unavailable For Legal Reasons',
+    kind: 'standard',
+    description:
+      'The user agent requested a resource that cannot legally be provided, ' +
+      'such as a web page censored by a government.'
+  },
+  //! Server error responses (500-599)
+  {
+    code: 500,
+    name: 'error',
+    phrase: 'Internal Server Error',
+    kind: 'standard',
+    description:
+      'The server has encountered a situation it does not know how to handle.'
+  },
+  {
+    code: 501,
+    name: 'notImplemented',
+    phrase: 'Not Implemented',
+    kind: 'standard',
+    description:
+      'The request method is not supported by the server and cannot be handled. ' +
+      'The only methods that server are required to support ' +
+      '(and therefore that must not return this code) are GET and HEAD.'
+  },
+  {
+    code: 502,
+    name: 'badGateway',
+    phrase: 'Bad Gateway',
+    kind: 'standard',
+    retryable: true,
+    description:
+      'This error response means that the server, while working as a gateway ' +
+      'to get a response needed to handle the request, got an invalid response'
+  },
+  {
+    code: 503,
+    name: 'serviceUnavailable',
+    phrase: 'Service Unavailable',
+    kind: 'standard',
+    retryable: true,
+    description:
+      'The server is not ready to handle the request. Common causes are a server ' +
+      'that is down for maintenance or that is overloaded. Note that together with this response, ' +
+      'a user-friendly page explaining the problem should be sent. This response should be used for ' +
+      'temporary conditions and the Retry-After HTTP header should, if possible, ' +
+      'contain the estimated time before the recovery of the service. The webmaster must also take care about ' +
+      'the caching-related headers that are sent along with this response, ' +
+      'as these temporary condition responses should usually not be cached.'
+  },
+  {
+    code: 504,
+    name: 'gatewayTimeout',
+    phrase: 'Gateway Timeout',
+    kind: 'standard',
+    retryable: true,
+    description:
+      'This error response is given when the server is acting as a gateway and cannot get a response in time.'
+  },
+  {
+    code: 505,
+    name: 'httpVersionNotSupported',
+    phrase: 'HTTP Version Not Supported',
+    kind: 'standard',
+    description:
+      'The HTTP version used in the request is not supported by the server.'
+  },
+  {
+    code: 506,
+    name: 'variantAlsoNegotiates',
+    phrase: 'Variant Also Negotiates',
+    kind: 'standard',
+    description:
+      'The server has an internal configuration error: the chosen variant resource is configured ' +
+      'to engage in transparent content negotiation itself, ' +
+      'and is therefore not a proper end point in the negotiation process.'
+  },
+  {
+    code: 507,
+    name: 'insufficientStorage',
+    phrase: 'Insufficient Storage',
+    kind: 'webdav',
+    description:
+      'The method could not be performed on the resource because the server is unable ' +
+      'to store the representation needed to successfully complete the request.'
+  },
+  {
+    code: 508,
+    name: 'loopDetected',
+    phrase: 'Loop Detected',
+    kind: 'webdav',
+    description:
+      'The server detected an infinite loop while processing the request.'
+  },
+  {
+    code: 510,
+    name: 'notExtended',
+    phrase: 'Not Extended',
+    kind: 'standard',
+    description:
+      'Further extensions to the request are required for the server to fulfill it.'
+  },
+  {
+    code: 511,
+    name: 'networkAuthenticationRequired',
+    phrase: 'Network Authentication Required',
+    kind: 'standard',
+    description:
+      'Indicates that the client needs to authenticate to gain network access.'
+  },
+  //! AWS Elastic Load Balancer
+  {
+    code: 460,
+    name: 'http460',
+    phrase: 'Client Closed Connection',
+    kind: 'elb',
+    retryable: true,
+    description:
+      'Client closed the connection with the load balancer before the idle timeout period elapsed. ' +
+      "Typically when client timeout is sooner than the Elastic Load Balancer's timeout."
+  },
+  {
+    code: 463,
+    name: 'http463',
+    phrase: 'Too Many Forwarded IP Addresses',
+    kind: 'elb',
+    description:
+      'The load balancer received an X-Forwarded-For request header with more than 30 IP addresses.'
+  },
+  {
+    code: 464,
+    name: 'http464',
+    phrase: 'Incompatible Protocol Versions',
+    kind: 'elb',
+    retryable: true,
+    description:
+      'Incompatible protocol versions between Client and Origin server. ' +
+      'Possible causes:\n' +
+      '* The request protocol is an HTTP/1.1, while the target group protocol version is a gRPC or HTTP/2.\n' +
+      '* The request protocol is a gRPC, while the target group protocol version is an HTTP/1.1.\n' +
+      '* The request protocol is an HTTP/2 and the request is not POST, while target group protocol version is a gRPC.'
+  },
+  {
+    code: 561,
+    name: 'http561',
+    phrase: 'Unauthorized',
+    kind: 'elb',
+    description:
+      'An error around authentication returned by a server registered with a load balancer. ' +
+      'You configured a listener rule to authenticate users, but ' +
+      'the identity provider (idP) returned an error code when authenticating the user'
+  }
+];
+
+const classes = {
+  1: 'informational',
+  2: 'success',
+  3: 'redirect',
+  4: 'clientError',
+  5: 'serverError'
+};
+
+const byCode = new Map();
+const byName = new Map();
+
+/*
+ * Adds a frozen entry, with its class, to the registry. With byCode: false
+ * the code keeps pointing at the status already using it and the new entry
+ * is only found by name
+ */
+const addStatus = function (status, { byCode: indexCode = true } = {}) {
+  const entry = Object.freeze({
+    ...status,
+    retryable: Boolean(status.retryable),
+    class: classes[Math.floor(status.code / 100)]
+  });
+  statuses.push(entry);
+  if (indexCode) byCode.set(entry.code, entry);
+  byName.set(entry.name, entry);
+  return entry;
+};
+
+statuses.splice(0).forEach((status) => addStatus(status));
+
+/*
+ * Looks a status up by its code (404 or '404') or by its helper name ('notFound').
+ * Returns undefined for unknown statuses
+ */
+const getStatus = function (codeOrName) {
+  if (typeof codeOrName === 'number') return byCode.get(codeOrName);
+  if (typeof codeOrName !== 'string') return undefined;
+  if (/^\d{3}$/.test(codeOrName)) return byCode.get(Number(codeOrName));
+  return byName.get(codeOrName);
+};
+
+export { statuses, getStatus, addStatus };
@@ -0,0 +1,76 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Small helpers shared by the modules in src/
+ */
+
+/*
+ * Envelopes reshaped by createResponser() may rename the status key,
+ * so the original status is kept under this non-enumerable key for the adapters
+ */
+const envelopeStatus = Symbol.for('httpresponser.status');
+
+// Brand of the objects returned by withOptions()
+const optionsMark = Symbol.for('httpresponser.options');
+
+const isPlainObject = function (value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+};
+
+/*
+ * Keys of the helpers' options, see response() in src/response.js. A plain
+ * first argument holding nothing else is read as the options
+ */
+const optionKeys = new Set([
+  'message',
+  'data',
+  'stack',
+  'cause',
+  'format',
+  'type',
+  'title',
+  'instance',
+  'extensions',
+  'headers',
+  'location',
+  'retryAfter',
+  'authenticate',
+  'allow',
+  'size',
+  'etag',
+  'lastModified',
+  'errors',
+  'meta',
+  'links',
+  'key',
+  'params',
+  'locale',
+  'acceptLanguage'
+]);
+
+/*
+ * Marks an object as the options of a helper, for options holding other keys
+ * or a payload that would be read as options:
+ * notFound(withOptions({ message, data, headers }))
+ */
+const withOptions = function (options = {}) {
+  if (!isPlainObject(options)) {
+    throw new TypeError('options must be a plain object');
+  }
+  return { ...options, [optionsMark]: true };
+};
+
+//! Options marked by withOptions() or a plain object holding only option keys
+const isOptions = function (value) {
+  if (!isPlainObject(value)) return false;
+  if (value[optionsMark] === true) return true;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => optionKeys.has(key));
+};
+
+//! Status of an envelope, Problem Details object or reshaped envelope
+const statusOf = function (envelope) {
+  return envelope[envelopeStatus] ?? envelope.status;
+};
+
+export { envelopeStatus, isPlainObject, isOptions, withOptions, statusOf };
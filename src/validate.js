@@ -0,0 +1,73 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Input checks run by response() and HttpError in strict mode
+ */
+
+import { getStatus } from './statuses.js';
+
+const assertStatus = function (status) {
+  if (!Number.isInteger(status)) {
+    throw new TypeError(
+      `status must be an integer, got ${typeof status} ${String(status)}`
+    );
+  }
+  if ((status < 100 || status > 599) && !getStatus(status)) {
+    throw new RangeError(
+      `status must be between 100 and 599 or a registered code, got ${status}`
+    );
+  }
+};
+
+const assertMessage = function (message) {
+  if (
+    message !== undefined &&
+    message !== null &&
+    typeof message !== 'string'
+  ) {
+    throw new TypeError(`message must be a string, got ${typeof message}`);
+  }
+};
+
+/*
+ * Walks data and rejects what JSON cannot represent: functions, symbols,
+ * bigints and cycles, and what it would silently change: NaN and Infinity
+ * (sent as null), Map and Set (sent as {})
+ */
+const assertSerializable = function (value, path = 'data', seen = new Set()) {
+  const type = typeof value;
+  if (type === 'function' || type === 'symbol' || type === 'bigint') {
+    throw new TypeError(`${path} is not serializable: found a ${type}`);
+  }
+  if (type === 'number' && !Number.isFinite(value)) {
+    throw new TypeError(`${path} is not serializable: found ${value}`);
+  }
+  if (value instanceof Map || value instanceof Set) {
+    const kind = value instanceof Map ? 'Map' : 'Set';
+    throw new TypeError(`${path} is not serializable: found a ${kind}`);
+  }
+  if (
+    value === null ||
+    type !== 'object' ||
+    typeof value.toJSON === 'function'
+  ) {
+    return;
+  }
+  if (seen.has(value)) {
+    throw new TypeError(`${path} is not serializable: circular reference`);
+  }
+  seen.add(value);
+  Object.keys(value).forEach((key) => {
+    const child = Array.isArray(value) ? `${path}[${key}]` : `${path}.${key}`;
+    assertSerializable(value[key], child, seen);
+  });
+  seen.delete(value);
+};
+
+const validate = function (status, message, data) {
+  assertStatus(status);
+  assertMessage(message);
+  assertSerializable(data);
+};
+
+export default validate;
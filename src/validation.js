@@ -0,0 +1,154 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Field level validation errors for 400/422 responses, with
+ * adapters for Joi, Zod and Ajv errors
+ * REFS:
+ * * JSON Pointer: https://www.rfc-editor.org/rfc/rfc6901
+ * * Problem Details errors: https://www.rfc-editor.org/rfc/rfc9457#name-extension-members
+ */
+
+import { isPlainObject } from './utils.js';
+
+const escapePointer = function (segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+const unescapePointer = function (segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+};
+
+//! Path segments from an array, a JSON pointer ('/items/0/name') or a field ('items[0].name')
+const toSegments = function (path) {
+  if (Array.isArray(path)) return path;
+  if (path === undefined || path === null || path === '') return [];
+  const text = String(path);
+  if (text.startsWith('/')) {
+    return text.slice(1).split('/').map(unescapePointer);
+  }
+  return text
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+};
+
+const toEntry = function (path, code, message) {
+  const segments = toSegments(path);
+  return {
+    field: segments.join('.'),
+    pointer: segments.map((segment) => `/${escapePointer(segment)}`).join(''),
+    code,
+    message
+  };
+};
+
+/*
+ * Builder collecting { field, pointer, code, message } entries:
+ * * field: dotted path, e.g. address.zip or items.0.name
+ * * pointer: the same path as a JSON pointer, e.g. /address/zip
+ * Pass it (or its toArray()) as options.errors to any helper:
+ * unprocessableContent({ errors })
+ */
+class ValidationErrors {
+  constructor(entries = []) {
+    this.entries = [];
+    entries.forEach((entry) => this.add(entry));
+  }
+
+  /*
+   * add(path, code, message) or add({ field | pointer | path, code, message }),
+   * path being a field, a JSON pointer or an array of segments
+   */
+  add(path, code, message) {
+    if (isPlainObject(path)) {
+      const { field, pointer, code: entryCode, message: entryMessage } = path;
+      return this.add(path.path ?? pointer ?? field, entryCode, entryMessage);
+    }
+    this.entries.push(toEntry(path, code, message));
+    return this;
+  }
+
+  merge(errors) {
+    const entries =
+      errors instanceof ValidationErrors ? errors.entries : errors;
+    entries.forEach((entry) => this.add(entry));
+    return this;
+  }
+
+  isEmpty() {
+    return this.entries.length === 0;
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+
+  toArray() {
+    return this.entries.map((entry) => ({ ...entry }));
+  }
+
+  toJSON() {
+    return this.toArray();
+  }
+}
+
+const validationErrors = function (entries) {
+  return new ValidationErrors(entries);
+};
+
+//! Joi ValidationError: details [{ path, type, message }]
+const fromJoi = function (error) {
+  const details = error?.details;
+  if (!Array.isArray(details)) {
+    throw new TypeError('fromJoi expects a Joi ValidationError');
+  }
+  return validationErrors(
+    details.map(({ path, type, message }) => ({ path, code: type, message }))
+  );
+};
+
+//! ZodError: issues [{ path, code, message }]
+const fromZod = function (error) {
+  const issues = error?.issues ?? error?.errors;
+  if (!Array.isArray(issues)) {
+    throw new TypeError('fromZod expects a ZodError');
+  }
+  return validationErrors(
+    issues.map(({ path, code, message }) => ({ path, code, message }))
+  );
+};
+
+/*
+ * Ajv errors array: [{ instancePath (dataPath before Ajv 7), keyword, params, message }].
+ * Missing required properties are reported on the property itself
+ */
+const fromAjv = function (errors) {
+  if (!Array.isArray(errors)) {
+    throw new TypeError('fromAjv expects an array of Ajv errors');
+  }
+  return validationErrors(
+    errors.map(({ instancePath, dataPath, keyword, params, message }) => {
+      let segments = toSegments(instancePath ?? dataPath);
+      if (keyword === 'required' && params?.missingProperty) {
+        segments = [...segments, ...toSegments(params.missingProperty)];
+      }
+      return { path: segments, code: keyword, message };
+    })
+  );
+};
+
+//! Plain array of entries from a builder or an array
+const toErrorArray = function (errors) {
+  if (errors instanceof ValidationErrors) return errors.toArray();
+  if (Array.isArray(errors)) return validationErrors(errors).toArray();
+  throw new TypeError('errors must be a ValidationErrors builder or an array');
+};
+
+export {
+  ValidationErrors,
+  validationErrors,
+  fromJoi,
+  fromZod,
+  fromAjv,
+  toErrorArray
+};
@@ -0,0 +1,91 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Converts an envelope into a WHATWG Fetch Response for edge and
+ * serverless runtimes (Cloudflare Workers, Deno, Bun, Next.js route handlers)
+ * REFS:
+ * * Response: https://fetch.spec.whatwg.org/#response-class
+ * * Null body status: https://fetch.spec.whatwg.org/#null-body-status
+ */
+
+import serialize from './negotiate.js';
+import { isProblem, problemContentType } from './problem.js';
+import { statusOf } from './utils.js';
+
+//! Statuses the Response constructor rejects a body for
+const nullBodyStatuses = [101, 204, 205, 304];
+
+const toHeaders = function (values = {}) {
+  const headers = new Headers();
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    const list = Array.isArray(value) ? value : [value];
+    list.forEach((item) => headers.append(name, String(item)));
+  });
+  return headers;
+};
+
+/*
+ * Returns a Response for the envelope (or Problem Details object), the
+ * counterpart of send() for runtimes built on the Fetch API:
+ * * status from envelope.status (or the status kept by createResponser()),
+ *   headers from envelope.headers
+ * * JSON body with application/json or application/problem+json, unless an
+ *   already serialized options.body is given with its options.contentType.
+ *   options.accept (an Accept header value) negotiates the format instead,
+ *   see src/negotiate.js, with the page titles in options.locale or
+ *   options.acceptLanguage
+ * * null body for 101, 204, 205, 304 and for HEAD requests (options.method)
+ * Other 1xx statuses throw, a Response cannot carry an interim status. 101
+ * is only accepted by runtimes that answer WebSocket upgrades with a Response,
+ * elsewhere it throws a RangeError too
+ */
+const toWebResponse = function (envelope, options = {}) {
+  const status = statusOf(envelope);
+  if (status >= 100 && status < 200 && status !== 101) {
+    throw new RangeError(`${status} cannot be sent as a Fetch Response`);
+  }
+
+  if (options.accept !== undefined) {
+    const { accept, locale, acceptLanguage, ...rest } = options;
+    const negotiated = serialize(envelope, accept, { locale, acceptLanguage });
+    const { 'Content-Type': contentType, ...headers } = negotiated.headers;
+    return toWebResponse(
+      { status: negotiated.status, headers },
+      { ...rest, body: negotiated.body, contentType }
+    );
+  }
+
+  const { headers: values, ...body } = envelope;
+  const headers = toHeaders(values);
+  if (nullBodyStatuses.includes(status)) {
+    headers.delete('Content-Type');
+    headers.delete('Content-Length');
+    if (status !== 101) return new Response(null, { status, headers });
+    try {
+      return new Response(null, { status, headers });
+    } catch (err) {
+      throw new RangeError(
+        '101 cannot be sent as a Fetch Response on this runtime, ' +
+          "answer protocol upgrades with the server's own upgrade API",
+        { cause: err }
+      );
+    }
+  }
+
+  if (options.contentType) {
+    headers.set('Content-Type', options.contentType);
+  } else if (!headers.has('Content-Type')) {
+    headers.set(
+      'Content-Type',
+      isProblem(body) ? problemContentType : 'application/json; charset=utf-8'
+    );
+  }
+  const payload = options.body ?? JSON.stringify(body);
+  return new Response(options.method === 'HEAD' ? null : payload, {
+    status,
+    headers
+  });
+};
+
+export default toWebResponse;
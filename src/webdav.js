@@ -0,0 +1,259 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Builder for WebDAV 207 Multi-Status bodies, serialized as a
+ * DAV:multistatus XML document or as JSON
+ * REFS:
+ * * Multi-Status: https://www.rfc-editor.org/rfc/rfc4918#section-13
+ * * multistatus XML element: https://www.rfc-editor.org/rfc/rfc4918#section-14.16
+ * * Already Reported: https://www.rfc-editor.org/rfc/rfc5842#section-7.1
+ */
+
+import { multiStatus } from './helpers.js';
+import send from './http.js';
+import { getStatus } from './statuses.js';
+import { isPlainObject } from './utils.js';
+
+const xmlContentType = 'application/xml; charset=utf-8';
+
+// One part of an element name, the optional prefix and the local name are checked separately
+const namePartPattern = /^[A-Za-z_][\w.-]*$/;
+
+const escapeXml = function (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const statusLine = function (status) {
+  return `HTTP/1.1 ${status} ${getStatus(status)?.phrase || ''}`.trim();
+};
+
+const assertHref = function (href) {
+  if (typeof href !== 'string' || !href) {
+    throw new TypeError('href must be a non-empty string');
+  }
+};
+
+const assertStatus = function (status) {
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw new RangeError(`status must be an HTTP status code, got ${status}`);
+  }
+};
+
+/*
+ * Element name of a property: its own prefix, which must be D or one of the
+ * declared namespaces, else the prefix of its parent element (D at the top)
+ */
+const elementName = function (name, namespaces, parentPrefix = 'D') {
+  const parts = String(name).split(':');
+  if (parts.length > 2 || !parts.every((part) => namePartPattern.test(part))) {
+    throw new TypeError(`${name} is not a valid XML element name`);
+  }
+  if (parts.length === 1) return `${parentPrefix}:${name}`;
+  const [prefix] = parts;
+  if (prefix !== 'D' && !Object.hasOwn(namespaces, prefix)) {
+    throw new TypeError(
+      `${name} uses the undeclared namespace prefix ${prefix}`
+    );
+  }
+  return name;
+};
+
+//! Checks the names of properties and of their child elements
+const assertProps = function (props, namespaces, parentPrefix) {
+  Object.entries(props).forEach(([name, value]) => {
+    const [prefix] = elementName(name, namespaces, parentPrefix).split(':');
+    [].concat(value).forEach((item) => {
+      if (isPlainObject(item)) assertProps(item, namespaces, prefix);
+    });
+  });
+};
+
+/*
+ * Property values:
+ * * null or undefined: empty element, as used to list property names
+ * * string, number, boolean: text content
+ * * object: child elements
+ * * array: the element repeated once per item
+ */
+const propertyXml = function (name, value, namespaces, parentPrefix) {
+  const tag = elementName(name, namespaces, parentPrefix);
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => propertyXml(name, item, namespaces, parentPrefix))
+      .join('');
+  }
+  if (value === null || value === undefined) return `<${tag}/>`;
+  if (isPlainObject(value)) {
+    const [prefix] = tag.split(':');
+    return `<${tag}>${propsXml(value, namespaces, prefix)}</${tag}>`;
+  }
+  return `<${tag}>${escapeXml(value)}</${tag}>`;
+};
+
+const propsXml = function (props, namespaces, parentPrefix) {
+  return Object.entries(props)
+    .map(([name, value]) => propertyXml(name, value, namespaces, parentPrefix))
+    .join('');
+};
+
+const descriptionXml = function (description) {
+  if (!description) return '';
+  return `<D:responsedescription>${escapeXml(
+    description
+  )}</D:responsedescription>`;
+};
+
+//! One DAV:response: its href(s), then a status or the propstats
+const responseXml = function (response, namespaces) {
+  const hrefs = []
+    .concat(response.href)
+    .map((href) => `<D:href>${escapeXml(href)}</D:href>`)
+    .join('');
+  const body = response.propstat
+    ? response.propstat
+        .map(
+          ({ prop, status }) =>
+            `<D:propstat><D:prop>${propsXml(prop, namespaces)}</D:prop>` +
+            `<D:status>${statusLine(status)}</D:status></D:propstat>`
+        )
+        .join('')
+    : `<D:status>${statusLine(response.status)}</D:status>`;
+  const error = response.error
+    ? `<D:error>${propsXml(response.error, namespaces)}</D:error>`
+    : '';
+  return (
+    `<D:response>${hrefs}${body}${error}` +
+    `${descriptionXml(response.description)}</D:response>`
+  );
+};
+
+class MultiStatus {
+  /*
+   * options:
+   * * namespaces: extra prefixes used by property names, e.g. { Z: 'urn:example' }.
+   *   Names with a prefix other than these and D are rejected
+   * * description: top level responsedescription
+   */
+  constructor(options = {}) {
+    this.namespaces = { ...options.namespaces };
+    Object.keys(this.namespaces).forEach((prefix) => {
+      if (!namePartPattern.test(prefix) || /^xml/i.test(prefix)) {
+        throw new TypeError(`${prefix} is not a valid namespace prefix`);
+      }
+    });
+    this.description = options.description;
+    this.responses = [];
+  }
+
+  //! Entry of a single href, created on first use so propstats can be added up
+  entry(href) {
+    assertHref(href);
+    let entry = this.responses.find(
+      (response) => response.propstat && response.href === href
+    );
+    if (!entry) {
+      entry = { href, propstat: [] };
+      this.responses.push(entry);
+    }
+    return entry;
+  }
+
+  /*
+   * Status of one or more resources as a whole:
+   * status('/locked.txt', 423, { description, error })
+   * error is a property style object rendered inside DAV:error
+   */
+  status(href, status, options = {}) {
+    const hrefs = [].concat(href);
+    hrefs.forEach(assertHref);
+    assertStatus(status);
+    const response = { href: hrefs.length === 1 ? hrefs[0] : hrefs, status };
+    if (options.error) {
+      assertProps(options.error, this.namespaces);
+      response.error = options.error;
+    }
+    if (options.description) response.description = options.description;
+    this.responses.push(response);
+    return this;
+  }
+
+  /*
+   * Properties of a resource sharing one status, call again for the
+   * properties with another status: propstat('/file', { getetag: '"1"' }, 200)
+   */
+  propstat(href, props, status = 200, options = {}) {
+    assertStatus(status);
+    if (!isPlainObject(props)) {
+      throw new TypeError('props must be an object of property names');
+    }
+    assertProps(props, this.namespaces);
+    const entry = this.entry(href);
+    const existing = entry.propstat.find((item) => item.status === status);
+    if (existing) Object.assign(existing.prop, props);
+    else entry.propstat.push({ prop: { ...props }, status });
+    if (options.description) entry.description = options.description;
+    return this;
+  }
+
+  //! 208 for a binding whose members were already listed in this response
+  alreadyReported(href, options) {
+    return this.status(href, 208, options);
+  }
+
+  toJSON() {
+    const json = {
+      responses: this.responses.map((response) => ({
+        ...response,
+        ...(response.propstat && {
+          propstat: response.propstat.map((item) => ({
+            prop: { ...item.prop },
+            status: item.status
+          }))
+        })
+      }))
+    };
+    if (this.description) json.description = this.description;
+    return json;
+  }
+
+  toXML() {
+    const xmlns = Object.entries(this.namespaces)
+      .map(([prefix, uri]) => ` xmlns:${prefix}="${escapeXml(uri)}"`)
+      .join('');
+    const responses = this.responses
+      .map((response) => responseXml(response, this.namespaces))
+      .join('');
+    return (
+      '<?xml version="1.0" encoding="utf-8"?>' +
+      `<D:multistatus xmlns:D="DAV:"${xmlns}>` +
+      responses +
+      descriptionXml(this.description) +
+      '</D:multistatus>'
+    );
+  }
+
+  //! multiStatus() envelope with the JSON form as data
+  toResponse(message, options) {
+    return multiStatus(message, this.toJSON(), undefined, options);
+  }
+
+  //! Sends the 207 with the XML body on a node:http response
+  send(res, options) {
+    return send(res, this.toResponse(), {
+      ...options,
+      body: this.toXML(),
+      contentType: xmlContentType
+    });
+  }
+}
+
+const createMultiStatus = function (options) {
+  return new MultiStatus(options);
+};
+
+export { MultiStatus, createMultiStatus };
@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+
+import { conditional, etag, preconditions, send } from '../index.js';
+import { listen, request } from './server.js';
+
+const user = { id: 7, name: 'Ada' };
+const current = etag(user);
+const updatedAt = new Date('2026-10-19T10:00:00.500Z');
+
+//! { method, headers } request as node:http lower-cases them
+const req = function (method, headers = {}) {
+  return { method, headers };
+};
+
+describe('conditional requests', function () {
+  describe('etag()', function () {
+    it('hashes the JSON form of the data', function () {
+      assert.equal(etag(user), etag({ id: 7, name: 'Ada' }));
+      assert.notEqual(etag(user), etag({ id: 8 }));
+      assert.match(etag(user), /^"[\w-]+"$/);
+      assert.match(etag(user, { weak: true }), /^W\/"[\w-]+"$/);
+    });
+  });
+
+  describe('conditional()', function () {
+    it('answers success() with ETag and Last-Modified', function () {
+      const res = conditional(req('GET'), user, { lastModified: updatedAt });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.data, user);
+      assert.equal(res.headers.ETag, etag(user));
+      assert.equal(res.headers['Last-Modified'], updatedAt.toUTCString());
+    });
+
+    it('answers 304 when If-None-Match matches', function () {
+      const res = conditional(
+        req('GET', { 'if-none-match': `"other", ${etag(user)}` }),
+        user
+      );
+      assert.equal(res.status, 304);
+      assert.equal(res.headers.ETag, etag(user));
+    });
+
+    it('compares If-None-Match weakly', function () {
+      const weak = etag(user, { weak: true });
+      const res = conditional(req('GET', { 'if-none-match': weak }), user);
+      assert.equal(res.status, 304);
+    });
+
+    it('answers 304 when not modified since, to the second', function () {
+      const res = conditional(
+        req('HEAD', { 'if-modified-since': 'Mon, 19 Oct 2026 10:00:00 GMT' }),
+        user,
+        { lastModified: updatedAt }
+      );
+      assert.equal(res.status, 304);
+    });
+
+    it('ignores If-Modified-Since when If-None-Match is present', function () {
+      const res = conditional(
+        req('GET', {
+          'if-none-match': '"other"',
+          'if-modified-since': 'Mon, 19 Oct 2026 11:00:00 GMT'
+        }),
+        user,
+        { lastModified: updatedAt }
+      );
+      assert.equal(res.status, 200);
+    });
+
+    it('accepts a Fetch Request', function () {
+      const request = new Request('http://localhost/users/7', {
+        headers: { 'If-None-Match': etag(user) }
+      });
+      assert.equal(conditional(request, user).status, 304);
+    });
+  });
+
+  describe('preconditions()', function () {
+    it('returns null when the request may proceed', function () {
+      assert.equal(preconditions(req('GET'), { etag: current }), null);
+      assert.equal(
+        preconditions(req('PUT', { 'if-match': current }), { etag: current }),
+        null
+      );
+    });
+
+    it('answers 412 when If-Match does not match', function () {
+      const res = preconditions(req('PUT', { 'if-match': '"stale"' }), {
+        etag: current
+      });
+      assert.equal(res.status, 412);
+    });
+
+    it('compares If-Match strongly', function () {
+      const weak = etag(user, { weak: true });
+      const res = preconditions(req('DELETE', { 'if-match': weak }), {
+        etag: weak
+      });
+      assert.equal(res.status, 412);
+    });
+
+    it('matches If-Match: * only when the resource exists', function () {
+      const headers = { 'if-match': '*' };
+      assert.equal(preconditions(req('PUT', headers), { exists: true }), null);
+      assert.equal(
+        preconditions(req('PUT', headers), { exists: false }).status,
+        412
+      );
+    });
+
+    it('answers 412 when modified since If-Unmodified-Since', function () {
+      const res = preconditions(
+        req('PATCH', {
+          'if-unmodified-since': 'Mon, 19 Oct 2026 09:00:00 GMT'
+        }),
+        { lastModified: updatedAt }
+      );
+      assert.equal(res.status, 412);
+    });
+
+    it('answers 412 for a write whose If-None-Match matches', function () {
+      const res = preconditions(req('PUT', { 'if-none-match': '*' }), {
+        etag: current
+      });
+      assert.equal(res.status, 412);
+    });
+
+    it('answers 428 for writes without a precondition', function () {
+      ['PUT', 'PATCH', 'DELETE'].forEach((method) => {
+        assert.equal(preconditions(req(method), { etag: current }).status, 428);
+      });
+      assert.equal(preconditions(req('POST'), { etag: current }), null);
+      assert.equal(
+        preconditions(req('PUT'), { etag: current, required: false }),
+        null
+      );
+      assert.equal(
+        preconditions(req('POST'), { etag: current, required: true }).status,
+        428
+      );
+    });
+  });
+
+  describe('over node:http', function () {
+    let server;
+
+    before(async function () {
+      server = await listen((req, res) =>
+        send(res, conditional(req, user, { lastModified: updatedAt }))
+      );
+    });
+
+    after(async function () {
+      await server.close();
+    });
+
+    it('revalidates with the ETag of the first answer', async function () {
+      const first = await request(server.url);
+      assert.equal(first.status, 200);
+      assert.equal(first.headers['last-modified'], updatedAt.toUTCString());
+      const second = await request(server.url, {
+        headers: { 'if-none-match': first.headers.etag }
+      });
+      assert.equal(second.status, 304);
+      assert.equal(second.body, '');
+      assert.equal(second.headers.etag, first.headers.etag);
+    });
+  });
+});
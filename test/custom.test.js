@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+
+import {
+  getStatus,
+  httpErrors,
+  registerPack,
+  registerStatus,
+  unavailableForLegalReasons
+} from '../index.js';
+
+describe('custom statuses', function () {
+  it('registers a helper, a registry entry and an httpErrors factory', function () {
+    const helper = registerStatus({
+      code: 598,
+      name: 'networkReadTimeout',
+      phrase: 'Network Read Timeout',
+      retryable: true
+    });
+    assert.deepEqual(helper('Slow upstream'), {
+      status: 598,
+      message: 'Slow upstream',
+      data: {}
+    });
+    assert.equal(helper().message, 'Network Read Timeout');
+    assert.equal(getStatus(598).kind, 'custom');
+    assert.equal(getStatus('networkReadTimeout').retryable, true);
+    assert.equal(httpErrors.networkReadTimeout().status, 598);
+  });
+
+  it('registers success codes without an httpErrors factory', function () {
+    registerStatus({ code: 298, name: 'partialSuccess', phrase: 'Partial' });
+    assert.equal(httpErrors.partialSuccess, undefined);
+  });
+
+  it('rejects invalid or taken definitions', function () {
+    [
+      { code: 99, name: 'low', phrase: 'Low' },
+      { code: 470.5, name: 'half', phrase: 'Half' }
+    ].forEach((definition) => {
+      assert.throws(() => registerStatus(definition), RangeError);
+    });
+    assert.throws(
+      () => registerStatus({ code: 471, name: '1st', phrase: 'First' }),
+      TypeError
+    );
+    assert.throws(
+      () => registerStatus({ code: 471, name: 'empty', phrase: '' }),
+      TypeError
+    );
+    ['shape', 'response'].forEach((name) => {
+      assert.throws(
+        () => registerStatus({ code: 471, name, phrase: 'Reserved' }),
+        TypeError
+      );
+    });
+    assert.throws(
+      () => registerStatus({ code: 471, name: 'notFound', phrase: 'Taken' }),
+      /already registered/
+    );
+    assert.throws(
+      () => registerStatus({ code: 404, name: 'missing', phrase: 'Missing' }),
+      /byCode: false/
+    );
+  });
+
+  it('registers the built-in packs once', function () {
+    const nginx = registerPack('nginx');
+    assert.equal(nginx.clientClosedRequest().status, 499);
+    assert.equal(getStatus(499).kind, 'nginx');
+    assert.equal(
+      registerPack('nginx').clientClosedRequest,
+      nginx.clientClosedRequest
+    );
+    assert.throws(() => registerPack('apache'), RangeError);
+  });
+
+  it('keeps the standard code of a status registered by name only', function () {
+    const { iisRedirect } = registerPack('iis');
+    assert.equal(getStatus(451).name, 'unavailableForLegalReasons');
+    assert.equal(getStatus('iisRedirect').code, 451);
+    assert.equal(iisRedirect().message, 'Redirect');
+    assert.equal(
+      unavailableForLegalReasons().message,
+      'Unavailable For Legal Reasons'
+    );
+  });
+});
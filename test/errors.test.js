@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+
+import {
+  HttpError,
+  configure,
+  createError,
+  httpErrors,
+  isHttpError,
+  withOptions
+} from '../index.js';
+
+describe('HttpError', function () {
+  afterEach(function () {
+    configure({ strict: true });
+  });
+
+  it('carries the status, message and data', function () {
+    const err = httpErrors.notFound('User missing', { id: 7 });
+    assert.ok(err instanceof HttpError);
+    assert.ok(err instanceof Error);
+    assert.equal(err.name, 'HttpError');
+    assert.equal(err.status, 404);
+    assert.equal(err.message, 'User missing');
+    assert.deepEqual(err.data, { id: 7 });
+  });
+
+  it('defaults the message to the reason phrase', function () {
+    assert.equal(new HttpError(503).message, 'Service Unavailable');
+  });
+
+  it('accepts the argument forms of the helpers', function () {
+    const data = httpErrors.notFound({ id: 7 });
+    assert.equal(data.message, 'Not Found');
+    assert.deepEqual(data.data, { id: 7 });
+
+    const options = httpErrors.conflict({
+      message: 'Taken',
+      data: { field: 'email' }
+    });
+    assert.equal(options.message, 'Taken');
+    assert.deepEqual(options.data, { field: 'email' });
+
+    const marked = httpErrors.conflict(
+      withOptions({ message: 'Taken', id: 1 })
+    );
+    assert.equal(marked.message, 'Taken');
+
+    const cause = new Error('duplicate key');
+    const wrapped = createError(409, cause);
+    assert.equal(wrapped.message, 'duplicate key');
+    assert.equal(wrapped.cause, cause);
+  });
+
+  it('rejects statuses outside 400-599', function () {
+    [200, 399, 600, 404.5, '404'].forEach((status) => {
+      assert.throws(() => new HttpError(status), RangeError);
+    });
+  });
+
+  it('rejects data JSON cannot represent in strict mode', function () {
+    assert.throws(
+      () => httpErrors.badRequest('x', { n: 10n }),
+      /data\.n is not serializable/
+    );
+    configure({ strict: false });
+    assert.doesNotThrow(() => httpErrors.badRequest('x', { n: 10n }));
+  });
+
+  it('converts back into the envelope', function () {
+    const err = httpErrors.badRequest('Bad input', { field: 'name' });
+    assert.deepEqual(err.toResponse(), {
+      status: 400,
+      message: 'Bad input',
+      data: { field: 'name' }
+    });
+    assert.deepEqual(JSON.parse(JSON.stringify(err)), err.toResponse());
+    assert.equal(err.toResponse({ format: 'problem' }).title, 'Bad Request');
+  });
+
+  it('recognises errors by brand', function () {
+    assert.ok(isHttpError(httpErrors.teapot()));
+    assert.ok(isHttpError({ [Symbol.for('httpresponser.HttpError')]: true }));
+    assert.ok(!isHttpError(new Error('x')));
+    assert.ok(!isHttpError(null));
+  });
+
+  it('points the stack at the caller of the factory', function () {
+    const err = httpErrors.forbidden();
+    assert.doesNotMatch(err.stack.split('\n')[1], /errors\.js/);
+  });
+});
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+import httpresponser, * as named from '../index.js';
+
+const require = createRequire(import.meta.url);
+
+describe('entry points', function () {
+  it('exports every member of the default object by name', function () {
+    const all = { ...named };
+    Object.keys(httpresponser).forEach((name) => {
+      assert.equal(all[name], httpresponser[name], name);
+    });
+  });
+
+  it('works with destructured helpers', function () {
+    const { notFound, created } = httpresponser;
+    assert.equal(notFound().status, 404);
+    assert.deepEqual(created({ id: 1 }).data, { id: 1 });
+  });
+
+  it('loads the CommonJS entry through require(esm)', function () {
+    const cjs = require('../index.cjs');
+    assert.equal(cjs.notFound, named.notFound);
+    assert.equal(cjs.HttpError, named.HttpError);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+
+import {
+  configure,
+  created,
+  found,
+  httpErrors,
+  methodNotAllowed,
+  rangeNotSatisfiable,
+  serviceUnavailable,
+  success,
+  tooManyRequests,
+  unauthorized,
+  withOptions
+} from '../index.js';
+
+describe('status specific headers', function () {
+  it('sends location as Location', function () {
+    const res = created(withOptions({ location: new URL('https://a.test/1') }));
+    assert.deepEqual(res.headers, { Location: 'https://a.test/1' });
+  });
+
+  it('sends retryAfter as seconds or an HTTP date', function () {
+    assert.equal(
+      tooManyRequests({ retryAfter: 30 }).headers['Retry-After'],
+      '30'
+    );
+    const date = new Date('2026-10-19T12:00:00Z');
+    assert.equal(
+      serviceUnavailable(withOptions({ retryAfter: date })).headers[
+        'Retry-After'
+      ],
+      'Mon, 19 Oct 2026 12:00:00 GMT'
+    );
+  });
+
+  it('joins authenticate challenges', function () {
+    const res = unauthorized(
+      withOptions({ authenticate: ['Bearer realm="api"', 'Basic'] })
+    );
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer realm="api", Basic');
+  });
+
+  it('sends the configured challenge on a 401 without authenticate', function () {
+    assert.equal(unauthorized().headers['WWW-Authenticate'], 'Bearer');
+    assert.equal(
+      httpErrors.unauthorized().toResponse().headers['WWW-Authenticate'],
+      'Bearer'
+    );
+    const own = unauthorized({ headers: { 'www-authenticate': 'Basic' } });
+    assert.deepEqual(own.headers, { 'www-authenticate': 'Basic' });
+    configure({ authenticate: 'Basic realm="api"' });
+    try {
+      assert.equal(
+        unauthorized().headers['WWW-Authenticate'],
+        'Basic realm="api"'
+      );
+    } finally {
+      configure({ authenticate: 'Bearer' });
+    }
+  });
+
+  it('requires the target of a redirect', function () {
+    assert.throws(() => found(), TypeError);
+    assert.throws(() => found({ message: 'Moved' }), TypeError);
+    assert.equal(
+      found(undefined, 'Moved', undefined, undefined, { location: '/a' })
+        .headers.Location,
+      '/a'
+    );
+  });
+
+  it('requires allow on a 405', function () {
+    assert.throws(() => methodNotAllowed(), TypeError);
+    assert.throws(() => methodNotAllowed('Read only'), TypeError);
+    assert.throws(() => httpErrors.methodNotAllowed(), TypeError);
+    assert.equal(
+      httpErrors.methodNotAllowed({ allow: 'GET' }).toResponse().headers.Allow,
+      'GET'
+    );
+  });
+
+  it('normalizes allow', function () {
+    const res = methodNotAllowed(withOptions({ allow: 'get, head ,post' }));
+    assert.equal(res.headers.Allow, 'GET, HEAD, POST');
+  });
+
+  it('sends size as an unsatisfied Content-Range', function () {
+    const res = rangeNotSatisfiable(withOptions({ size: 1024 }));
+    assert.equal(res.headers['Content-Range'], 'bytes */1024');
+  });
+
+  it('quotes bare entity tags and formats Last-Modified', function () {
+    const res = success(
+      withOptions({ etag: 'abc', lastModified: 0, headers: { 'X-A': '1' } })
+    );
+    assert.deepEqual(res.headers, {
+      'X-A': '1',
+      ETag: '"abc"',
+      'Last-Modified': 'Thu, 01 Jan 1970 00:00:00 GMT'
+    });
+  });
+
+  it('leaves headers out when there are none', function () {
+    assert.equal('headers' in success(), false);
+  });
+
+  it('rejects invalid header values', function () {
+    [
+      { location: '' },
+      { retryAfter: -1 },
+      { retryAfter: new Date('nope') },
+      { authenticate: [] },
+      { allow: ['GET', 'BAD METHOD'] },
+      { size: 1.5 },
+      { etag: 'a"b' },
+      { lastModified: 'yesterday' }
+    ].forEach((options) => {
+      assert.throws(() => success(withOptions(options)), Error);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+
+import {
+  badRequest,
+  continueResponse,
+  createResponser,
+  noContent,
+  notFound,
+  notModified,
+  processing,
+  send,
+  success,
+  switchingProtocols,
+  withOptions
+} from '../index.js';
+import { listen, request } from './server.js';
+
+describe('send()', function () {
+  let server;
+
+  afterEach(async function () {
+    await server?.close();
+    server = undefined;
+  });
+
+  it('writes the status line, headers and JSON body', async function () {
+    server = await listen((req, res) =>
+      send(
+        res,
+        success(withOptions({ data: { id: 1 }, headers: { 'X-A': 'b' } }))
+      )
+    );
+    const res = await request(server.url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['x-a'], 'b');
+    assert.equal(
+      res.headers['content-type'],
+      'application/json; charset=utf-8'
+    );
+    assert.equal(res.headers['content-length'], String(res.body.length));
+    assert.deepEqual(JSON.parse(res.body), {
+      status: 200,
+      message: 'OK',
+      data: { id: 1 }
+    });
+  });
+
+  it('sends Problem Details as application/problem+json', async function () {
+    server = await listen((req, res) =>
+      send(res, badRequest(withOptions({ format: 'problem' })))
+    );
+    const res = await request(server.url);
+    assert.equal(res.status, 400);
+    assert.equal(res.headers['content-type'], 'application/problem+json');
+    assert.equal(JSON.parse(res.body).title, 'Bad Request');
+  });
+
+  it('sends an already serialized body with its content type', async function () {
+    server = await listen((req, res) =>
+      send(res, success(), { body: 'plain', contentType: 'text/plain' })
+    );
+    const res = await request(server.url);
+    assert.equal(res.headers['content-type'], 'text/plain');
+    assert.equal(res.body, 'plain');
+  });
+
+  it('sends no body for 204 and 304', async function () {
+    server = await listen((req, res) =>
+      send(
+        res,
+        req.url === '/204'
+          ? noContent()
+          : notModified(withOptions({ etag: '"a"' }))
+      )
+    );
+    const empty = await request(`${server.url}/204`);
+    assert.equal(empty.status, 204);
+    assert.equal(empty.body, '');
+    assert.equal(empty.headers['content-type'], undefined);
+    const cached = await request(`${server.url}/304`);
+    assert.equal(cached.status, 304);
+    assert.equal(cached.body, '');
+    assert.equal(cached.headers.etag, '"a"');
+  });
+
+  it('sends the headers without the body for HEAD requests', async function () {
+    server = await listen((req, res) => send(res, notFound('gone')));
+    const res = await request(server.url, { method: 'HEAD' });
+    assert.equal(res.status, 404);
+    assert.equal(res.body, '');
+    assert.ok(Number(res.headers['content-length']) > 0);
+  });
+
+  it('writes 100 and 102 as interim responses before the final one', async function () {
+    server = await listen((req, res) => {
+      send(res, continueResponse());
+      send(res, processing());
+      send(res, success());
+    });
+    const res = await request(server.url);
+    assert.deepEqual(res.interim, [100, 102]);
+    assert.equal(res.status, 200);
+  });
+
+  it('throws for 101, which needs the upgrade event', function () {
+    assert.throws(() => send({}, switchingProtocols()), {
+      name: 'RangeError',
+      message: /upgrade/
+    });
+  });
+
+  it('uses the status kept by a createResponser() shape', async function () {
+    const api = createResponser({ keys: { status: 'code' } });
+    server = await listen((req, res) => send(res, api.notFound()));
+    const res = await request(server.url);
+    assert.equal(res.status, 404);
+    assert.equal(JSON.parse(res.body).code, 404);
+  });
+
+  it('negotiates the format from options.accept', async function () {
+    server = await listen((req, res) =>
+      send(res, notFound(), {
+        accept: req.headers.accept,
+        acceptLanguage: req.headers['accept-language']
+      })
+    );
+    const res = await request(server.url, {
+      headers: { accept: 'text/html', 'accept-language': 'es' }
+    });
+    assert.equal(res.status, 404);
+    assert.match(res.headers['content-type'], /^text\/html/);
+    assert.match(res.body, /<html lang="es">/);
+  });
+});
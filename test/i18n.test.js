@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'node:timers/promises';
+
+import {
+  HttpError,
+  addMessages,
+  configure,
+  locales,
+  notFound,
+  resolveLocale,
+  translate,
+  withLocale,
+  withOptions
+} from '../index.js';
+
+describe('localized messages', function () {
+  before(function () {
+    addMessages('en', { i18nTest: { missing: 'User {id} not found' } });
+    addMessages('de', {
+      i18nTest: { missing: 'Benutzer {id} nicht gefunden' }
+    });
+    addMessages('pt-BR', { 404: 'Não encontrado' });
+  });
+
+  afterEach(function () {
+    configure({ locale: 'en' });
+  });
+
+  it('ships the built-in locales', function () {
+    ['en', 'de', 'fr', 'es', 'it'].forEach((locale) => {
+      assert.ok(locales().includes(locale), locale);
+    });
+    assert.equal(notFound({ locale: 'it' }).message, 'Non trovato');
+  });
+
+  it('translates message keys with params', function () {
+    const res = notFound({
+      key: 'i18nTest.missing',
+      params: { id: 7 },
+      locale: 'de'
+    });
+    assert.equal(res.message, 'Benutzer 7 nicht gefunden');
+    assert.equal(
+      translate('i18nTest.missing', {}, 'de'),
+      'Benutzer {id} nicht gefunden'
+    );
+  });
+
+  it('falls back to the configured locale, then English', function () {
+    assert.equal(
+      translate('i18nTest.missing', { id: 1 }, 'fr'),
+      'User 1 not found'
+    );
+    configure({ locale: 'de' });
+    assert.equal(
+      translate('i18nTest.missing', { id: 1 }, 'fr'),
+      'Benutzer 1 nicht gefunden'
+    );
+    assert.equal(notFound().message, 'Nicht gefunden');
+    assert.equal(translate('i18nTest.unknown'), undefined);
+  });
+
+  it('resolves Accept-Language by quality, then order', function () {
+    assert.equal(resolveLocale('es;q=0.5, fr-FR, de;q=0.8'), 'fr');
+    assert.equal(resolveLocale('pt-BR'), 'pt-br');
+    assert.equal(resolveLocale('ja, *'), 'en');
+    assert.equal(resolveLocale(undefined), 'en');
+    assert.equal(
+      notFound({ acceptLanguage: 'pt-BR,pt;q=0.9' }).message,
+      'Não encontrado'
+    );
+  });
+
+  it('scopes a default locale with withLocale()', function () {
+    const res = withLocale('es', () => notFound());
+    assert.equal(res.message, 'No encontrado');
+    assert.equal(notFound().message, 'Not Found');
+    assert.equal(
+      withLocale('es', () => notFound(withOptions({ locale: 'de' }))).message,
+      'Nicht gefunden'
+    );
+  });
+
+  it('keeps the locale of withLocale() across awaits', async function () {
+    const answer = async function (locale) {
+      return withLocale(locale, async () => {
+        await tick();
+        return notFound().message;
+      });
+    };
+    const messages = await Promise.all([answer('de'), answer('fr')]);
+    assert.deepEqual(messages, ['Nicht gefunden', 'Introuvable']);
+    assert.equal(notFound().message, 'Not Found');
+  });
+
+  it('localizes HttpError default messages again when sent', function () {
+    const err = withLocale('de', () => new HttpError(404));
+    assert.equal(err.message, 'Nicht gefunden');
+    assert.equal(err.toResponse({ locale: 'fr' }).message, 'Introuvable');
+  });
+
+  it('keeps explicit messages', function () {
+    assert.equal(
+      notFound('Gone', undefined, undefined, { locale: 'de' }).message,
+      'Gone'
+    );
+  });
+
+  it('treats locales and keys named like Object members as unknown', function () {
+    assert.equal(resolveLocale('constructor'), 'en');
+    assert.equal(resolveLocale('__proto__, toString'), 'en');
+    assert.equal(notFound({ locale: 'constructor' }).message, 'Not Found');
+    assert.equal(translate('constructor'), undefined);
+    assert.equal(translate('i18nTest.missing', { id: 1 }), 'User 1 not found');
+    assert.equal(
+      translate('i18nTest.missing', Object.create({ id: 1 })),
+      'User {id} not found'
+    );
+  });
+
+  it('keeps a __proto__ locale or key as a plain catalog entry', function () {
+    addMessages('__proto__', { 404: 'Polluted' });
+    addMessages('en', JSON.parse('{ "__proto__": { "polluted": "yes" } }'));
+    assert.equal({}.polluted, undefined);
+    assert.equal(resolveLocale('__proto__'), '__proto__');
+    assert.equal(notFound({ locale: '__proto__' }).message, 'Polluted');
+    assert.equal(translate('__proto__.polluted'), 'yes');
+  });
+
+  it('rejects invalid catalogs', function () {
+    assert.throws(() => addMessages('', {}), TypeError);
+    assert.throws(() => addMessages('de', 'x'), TypeError);
+    assert.throws(() => addMessages('de', { a: 1 }), TypeError);
+  });
+});
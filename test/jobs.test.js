@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'node:timers/promises';
+
+import { Jobs, MemoryJobStore, createJobs, httpErrors } from '../index.js';
+
+//! Waits until the background task of run() has settled its job
+const settled = async function (jobs, id) {
+  while ((await jobs.store.get(id)).state === 'pending') await tick();
+};
+
+describe('jobs', function () {
+  let jobs;
+
+  beforeEach(function () {
+    jobs = createJobs({ url: '/api/jobs/', retryAfter: 2 });
+  });
+
+  it('accepts a job with its status monitor URL', async function () {
+    const res = await jobs.create({ id: 'a b' });
+    assert.equal(res.status, 202);
+    assert.equal(res.headers.Location, '/api/jobs/a%20b');
+    assert.equal(res.headers['Retry-After'], '2');
+    assert.equal(res.data.id, 'a b');
+    assert.equal(res.data.state, 'pending');
+  });
+
+  it('answers polls of a pending job with 200 and Retry-After', async function () {
+    const { data } = await jobs.create();
+    const res = await jobs.poll(data.id);
+    assert.equal(res.status, 200);
+    assert.equal(res.data.state, 'pending');
+    assert.equal(res.headers['Retry-After'], '2');
+  });
+
+  it('redirects polls of a done job to its result', async function () {
+    const { data } = await jobs.create();
+    await jobs.complete(data.id, new URL('https://api.test/reports/1'));
+    const res = await jobs.poll(data.id);
+    assert.equal(res.status, 303);
+    assert.equal(res.headers.Location, 'https://api.test/reports/1');
+    assert.equal(res.data.state, 'done');
+  });
+
+  it('answers polls of a failed job with its failure', async function () {
+    const first = await jobs.create();
+    await jobs.fail(first.data.id, httpErrors.conflict('Already running'));
+    const conflict = await jobs.poll(first.data.id);
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.message, 'Already running');
+
+    const second = await jobs.create();
+    await jobs.fail(second.data.id, new Error('disk full'));
+    const crash = await jobs.poll(second.data.id);
+    assert.equal(crash.status, 500);
+    assert.equal(crash.message, 'Internal Server Error');
+  });
+
+  it('answers polls of an unknown job with 404', async function () {
+    assert.equal((await jobs.poll('missing')).status, 404);
+  });
+
+  it('settles a job only once', async function () {
+    const { data } = await jobs.create();
+    await jobs.complete(data.id, '/reports/1');
+    await assert.rejects(jobs.fail(data.id, new Error('late')), RangeError);
+    await assert.rejects(jobs.complete('missing', '/x'), RangeError);
+    await assert.rejects(jobs.complete(data.id, 42), TypeError);
+  });
+
+  it('runs a task in the background and completes its job', async function () {
+    const res = await jobs.run(async ({ id }) => `/reports/${id}`);
+    assert.equal(res.status, 202);
+    await settled(jobs, res.data.id);
+    const done = await jobs.poll(res.data.id);
+    assert.equal(done.status, 303);
+    assert.equal(done.headers.Location, `/reports/${res.data.id}`);
+  });
+
+  it('fails the job of a task that throws', async function () {
+    const res = await jobs.run(() => {
+      throw httpErrors.badGateway('Upstream down');
+    });
+    await settled(jobs, res.data.id);
+    const failed = await jobs.poll(res.data.id);
+    assert.equal(failed.status, 502);
+    assert.equal(failed.message, 'Upstream down');
+  });
+
+  it('keeps the jobs in any store with get and set', async function () {
+    const saved = new Map();
+    const store = {
+      get: async (id) => saved.get(id),
+      set: async (id, job) => {
+        saved.set(id, JSON.parse(JSON.stringify(job)));
+      }
+    };
+    const custom = new Jobs({ store, url: (id) => `/queue?job=${id}` });
+    const res = await custom.create({ id: '1' });
+    assert.equal(res.headers.Location, '/queue?job=1');
+    assert.equal(saved.get('1').state, 'pending');
+    assert.throws(() => new Jobs({ store: {} }), TypeError);
+  });
+
+  it('defaults to a MemoryJobStore', function () {
+    assert.ok(new Jobs().store instanceof MemoryJobStore);
+  });
+});
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+
+import { configure, error, notFound, response, teapot } from '../index.js';
+
+describe('default messages', function () {
+  afterEach(function () {
+    configure({ messages: {} });
+  });
+
+  it('falls back to the reason phrase', function () {
+    assert.equal(notFound().message, 'Not Found');
+    assert.equal(teapot().message, "I'm a teapot");
+    assert.equal(notFound(null).message, 'Not Found');
+  });
+
+  it('uses the configured catalog first', function () {
+    configure({ messages: { 404: 'Nothing here' } });
+    assert.equal(notFound().message, 'Nothing here');
+    assert.equal(error().message, 'Internal Server Error');
+  });
+
+  it('accepts a catalog function', function () {
+    configure({ messages: (status) => (status >= 500 ? 'Oops' : undefined) });
+    assert.equal(error().message, 'Oops');
+    assert.equal(notFound().message, 'Not Found');
+  });
+
+  it('keeps explicit messages', function () {
+    configure({ messages: { 404: 'Nothing here' } });
+    assert.equal(notFound('User missing').message, 'User missing');
+  });
+
+  it('omits the message of unknown statuses', function () {
+    assert.deepEqual(response(599), { status: 599, data: {} });
+  });
+});
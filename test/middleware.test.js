@@ -0,0 +1,236 @@
+import assert from 'node:assert/strict';
+
+import {
+  HttpError,
+  configure,
+  createResponser,
+  errorHandler,
+  httpErrors,
+  registerStatus,
+  responser,
+  withOptions
+} from '../index.js';
+import { listen, request } from './server.js';
+
+//! Runs the middleware, then route(req, res), sending thrown errors to handle
+const app = function (middleware, route, handle = errorHandler()) {
+  return listen((req, res) => {
+    middleware(req, res, () => {
+      try {
+        route(req, res);
+      } catch (err) {
+        handle(err, req, res, () => res.end());
+      }
+    });
+  });
+};
+
+describe('middleware', function () {
+  describe('responser()', function () {
+    let server;
+
+    afterEach(async function () {
+      await server?.close();
+      server = undefined;
+    });
+
+    it('sends the envelope of every helper from res', async function () {
+      server = await app(responser(), (req, res) =>
+        res.created('Created', { id: 42 })
+      );
+      const res = await request(server.url);
+      assert.equal(res.status, 201);
+      assert.match(res.headers['content-type'], /^application\/json/);
+      assert.deepEqual(JSON.parse(res.body), {
+        status: 201,
+        message: 'Created',
+        data: { id: 42 }
+      });
+    });
+
+    it('sends Problem Details as application/problem+json', async function () {
+      server = await app(responser(), (req, res) =>
+        res.notFound(withOptions({ format: 'problem' }))
+      );
+      const res = await request(server.url);
+      assert.equal(res.status, 404);
+      assert.equal(res.headers['content-type'], 'application/problem+json');
+      assert.equal(JSON.parse(res.body).title, 'Not Found');
+    });
+
+    it('keeps the headers of the envelope', async function () {
+      server = await app(responser(), (req, res) => res.found('/elsewhere'));
+      const res = await request(server.url);
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.location, '/elsewhere');
+    });
+
+    it('leaves methods already on res alone', async function () {
+      const own = function () {
+        this.statusCode = 299;
+        this.end('own');
+      };
+      server = await listen((req, res) => {
+        res.notFound = own;
+        responser()(req, res, () => res.notFound());
+      });
+      const res = await request(server.url);
+      assert.equal(res.status, 299);
+      assert.equal(res.body, 'own');
+    });
+
+    it('shares the methods between requests', async function () {
+      const seen = [];
+      server = await app(responser(), (req, res) => {
+        seen.push(res.success);
+        res.success();
+      });
+      await request(server.url);
+      await request(server.url);
+      assert.equal(seen[0], seen[1]);
+    });
+
+    it('picks up helpers registered after it was created', async function () {
+      const middleware = responser();
+      server = await app(middleware, (req, res) => res.middlewareLate());
+      registerStatus({ code: 297, name: 'middlewareLate', phrase: 'Late' });
+      const res = await request(server.url);
+      assert.equal(res.status, 297);
+      assert.equal(JSON.parse(res.body).message, 'Late');
+    });
+
+    it('negotiates the format from Accept with negotiate', async function () {
+      server = await app(responser({ negotiate: true }), (req, res) =>
+        res.notFound('No such user')
+      );
+      const res = await request(server.url, {
+        headers: { accept: 'text/plain' }
+      });
+      assert.equal(res.status, 404);
+      assert.match(res.headers['content-type'], /^text\/plain/);
+      assert.equal(res.headers.vary, 'Accept');
+      assert.equal(res.body, '404 Not Found\n\nNo such user\n');
+    });
+
+    it('localizes default messages from Accept-Language with localize', async function () {
+      server = await app(responser({ localize: true }), (req, res) =>
+        res.notFound()
+      );
+      const res = await request(server.url, {
+        headers: { 'accept-language': 'de-CH, en;q=0.5' }
+      });
+      assert.equal(JSON.parse(res.body).message, 'Nicht gefunden');
+    });
+
+    it('sends the shape of a createResponser() instance with the request', async function () {
+      const api = createResponser({
+        keys: { data: 'result' },
+        path: (req) => req?.url
+      });
+      server = await app(responser(api), (req, res) => res.success({ a: 1 }));
+      const res = await request(`${server.url}/users?page=2`);
+      assert.deepEqual(JSON.parse(res.body), {
+        status: 200,
+        message: 'OK',
+        result: { a: 1 },
+        path: '/users?page=2'
+      });
+    });
+  });
+
+  describe('errorHandler()', function () {
+    let server;
+
+    afterEach(async function () {
+      configure({ strict: true });
+      await server?.close();
+      server = undefined;
+    });
+
+    const fail = function (err, handle) {
+      return app(
+        responser(),
+        () => {
+          throw err;
+        },
+        handle
+      );
+    };
+
+    it('sends an HttpError as its envelope', async function () {
+      server = await fail(httpErrors.notFound('User missing', { id: 7 }));
+      const res = await request(server.url);
+      const body = JSON.parse(res.body);
+      assert.equal(res.status, 404);
+      assert.equal(body.message, 'User missing');
+      assert.deepEqual(body.data, { id: 7 });
+    });
+
+    it('keeps the status of errors with status or statusCode', async function () {
+      const err = Object.assign(new Error('Bad JSON'), {
+        statusCode: 400,
+        expose: true
+      });
+      server = await fail(err);
+      const res = await request(server.url);
+      assert.equal(res.status, 400);
+      assert.equal(JSON.parse(res.body).message, 'Bad JSON');
+    });
+
+    it('hides the message of errors that do not expose it', async function () {
+      server = await fail(Object.assign(new Error('secret'), { status: 503 }));
+      const res = await request(server.url);
+      assert.equal(res.status, 503);
+      assert.equal(JSON.parse(res.body).message, 'Service Unavailable');
+    });
+
+    it('answers anything else with a 500', async function () {
+      server = await fail(new TypeError('x is undefined'));
+      const res = await request(server.url);
+      assert.equal(res.status, 500);
+      assert.equal(JSON.parse(res.body).message, 'Internal Server Error');
+    });
+
+    it('falls back to a 500 when the HttpError cannot be sent', async function () {
+      configure({ strict: false });
+      const err = httpErrors.badRequest('x', { n: 10n });
+      configure({ strict: true });
+      server = await fail(err);
+      const res = await request(server.url);
+      assert.equal(res.status, 500);
+      assert.equal(JSON.parse(res.body).message, 'Internal Server Error');
+    });
+
+    it('passes its options to toResponse()', async function () {
+      server = await fail(
+        new HttpError(404),
+        errorHandler({ format: 'problem' })
+      );
+      const res = await request(server.url);
+      assert.equal(res.status, 404);
+      assert.equal(res.headers['content-type'], 'application/problem+json');
+    });
+
+    it('negotiates and localizes like responser()', async function () {
+      server = await fail(
+        new HttpError(404),
+        errorHandler({ negotiate: true, localize: true })
+      );
+      const res = await request(server.url, {
+        headers: { accept: 'text/html', 'accept-language': 'fr' }
+      });
+      assert.equal(res.status, 404);
+      assert.match(res.body, /<html lang="fr">/);
+      assert.match(res.body, /<title>404 Introuvable<\/title>/);
+    });
+
+    it('passes the error on once the headers are sent', function () {
+      const err = new Error('late');
+      let passed;
+      errorHandler()(err, {}, { headersSent: true }, (value) => {
+        passed = value;
+      });
+      assert.equal(passed, err);
+    });
+  });
+});
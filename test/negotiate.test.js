@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+
+import {
+  createResponser,
+  notFound,
+  serialize,
+  success,
+  withLocale,
+  withOptions
+} from '../index.js';
+
+describe('serialize()', function () {
+  it('defaults to JSON', function () {
+    const res = serialize(success({ id: 1 }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.headers, {
+      'Content-Type': 'application/json; charset=utf-8',
+      Vary: 'Accept'
+    });
+    assert.deepEqual(JSON.parse(res.body), {
+      status: 200,
+      message: 'OK',
+      data: { id: 1 }
+    });
+  });
+
+  it('picks the best format by quality', function () {
+    const accept = 'text/html;q=0.5, application/xml;q=0.9, */*;q=0.1';
+    const res = serialize(success(), accept);
+    assert.equal(res.headers['Content-Type'], 'application/xml; charset=utf-8');
+    assert.equal(
+      res.body,
+      '<?xml version="1.0" encoding="utf-8"?>' +
+        '<response><status>200</status><message>OK</message><data></data></response>'
+    );
+  });
+
+  it('keeps the headers of the envelope', function () {
+    const res = serialize(
+      notFound(withOptions({ headers: { 'X-A': '1' } })),
+      'text/plain'
+    );
+    assert.equal(res.headers['X-A'], '1');
+    assert.equal(res.headers['Content-Type'], 'text/plain; charset=utf-8');
+  });
+
+  it('offers the problem formats for errors only', function () {
+    const xml = serialize(notFound('gone'), 'application/problem+xml');
+    assert.equal(
+      xml.headers['Content-Type'],
+      'application/problem+xml; charset=utf-8'
+    );
+    assert.match(
+      xml.body,
+      /^<\?xml[^>]*\?><problem xmlns="urn:ietf:rfc:7807"><type>about:blank<\/type>/
+    );
+    const json = serialize(notFound('gone'), 'application/problem+json');
+    assert.equal(JSON.parse(json.body).detail, 'gone');
+    assert.equal(serialize(success(), 'application/problem+json').status, 406);
+  });
+
+  it('writes invalid XML names as entry elements', function () {
+    const res = serialize(success({ 'a b': 1, xmlns: 2 }), 'application/xml');
+    assert.match(
+      res.body,
+      /<data><entry name="a b">1<\/entry><entry name="xmlns">2<\/entry><\/data>/
+    );
+  });
+
+  it('renders text and HTML pages with escaped content', function () {
+    const html = serialize(notFound('<b>gone</b>'), 'text/html').body;
+    assert.equal(
+      html,
+      '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+        '<title>404 Not Found</title></head><body><h1>404 Not Found</h1>' +
+        '<p>&lt;b&gt;gone&lt;/b&gt;</p></body></html>'
+    );
+    assert.equal(serialize(notFound(), 'text/*').body, '404 Not Found\n');
+  });
+
+  it('localizes the page title and language', function () {
+    const options = { acceptLanguage: 'fr-CA, de;q=0.5' };
+    const html = serialize(notFound('Absent'), 'text/html', options).body;
+    assert.match(html, /^<!DOCTYPE html><html lang="fr">/);
+    assert.match(html, /<title>404 Introuvable<\/title>/);
+    const text = withLocale('de', () => serialize(notFound(), 'text/plain'));
+    assert.equal(text.body, '404 Nicht gefunden\n');
+  });
+
+  it('answers 406 as JSON when nothing is acceptable', function () {
+    const res = serialize(success(), 'image/png');
+    assert.equal(res.status, 406);
+    assert.equal(
+      res.headers['Content-Type'],
+      'application/json; charset=utf-8'
+    );
+    assert.deepEqual(JSON.parse(res.body).data.available, [
+      'application/json',
+      'application/xml',
+      'text/plain',
+      'text/html'
+    ]);
+  });
+
+  it('uses the status kept by a createResponser() shape', function () {
+    const api = createResponser({ keys: { status: 'code' } });
+    const res = serialize(api.notFound(), 'text/plain');
+    assert.equal(res.status, 404);
+    assert.equal(res.body, '404 Not Found\n');
+  });
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+
+import { openApiComponents, registerStatus, statuses } from '../index.js';
+
+describe('openApiComponents()', function () {
+  it('describes every registry code by default', function () {
+    const { responses, schemas } = openApiComponents();
+    const codes = new Set(statuses.map(({ code }) => code));
+    assert.equal(Object.keys(responses).length, codes.size);
+    assert.deepEqual(Object.keys(schemas), ['ValidationError', 'Envelope']);
+  });
+
+  it('names responses after their helper with an example', function () {
+    const { responses } = openApiComponents({ codes: [201, 'notFound'] });
+    assert.deepEqual(Object.keys(responses), ['Created', 'NotFound']);
+    const created = responses.Created;
+    assert.deepEqual(created.headers.Location.schema, { type: 'string' });
+    const { schema, example } = created.content['application/json'];
+    assert.equal(schema.allOf[0].$ref, '#/components/schemas/Envelope');
+    assert.deepEqual(schema.allOf[1].properties.status, { const: 201 });
+    assert.deepEqual(example, { status: 201, message: 'Created', data: {} });
+  });
+
+  it('references ProblemDetails for errors with format: problem', function () {
+    const { responses, schemas } = openApiComponents({
+      codes: [200, 404],
+      format: 'problem'
+    });
+    assert.ok(schemas.ProblemDetails);
+    const content = responses.NotFound.content['application/problem+json'];
+    assert.equal(
+      content.schema.allOf[0].$ref,
+      '#/components/schemas/ProblemDetails'
+    );
+    assert.equal(content.example.title, 'Not Found');
+    assert.ok(responses.Success.content['application/json']);
+  });
+
+  it('leaves the body out of statuses without one', function () {
+    const { responses } = openApiComponents({ codes: [100, 204, 304] });
+    Object.values(responses).forEach((response) => {
+      assert.equal(response.content, undefined);
+    });
+  });
+
+  it('does not share header objects between responses', function () {
+    const { responses } = openApiComponents({ codes: [301, 302] });
+    assert.notEqual(
+      responses.MovedPermanently.headers.Location,
+      responses.Found.headers.Location
+    );
+  });
+
+  it('includes statuses registered at runtime', function () {
+    registerStatus({ code: 472, name: 'openApiCustom', phrase: 'Custom' });
+    const { responses } = openApiComponents({ codes: [472] });
+    assert.equal(
+      responses.OpenApiCustom.content['application/json'].example.message,
+      'Custom'
+    );
+  });
+
+  it('rejects unknown codes', function () {
+    assert.throws(() => openApiComponents({ codes: [299] }), RangeError);
+    assert.throws(() => openApiComponents({ codes: 404 }), TypeError);
+  });
+});
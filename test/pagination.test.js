@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+
+import { cursorPaginated, paginated, ranged } from '../index.js';
+
+describe('collection helpers', function () {
+  describe('paginated()', function () {
+    it('adds meta, links and the Link header', function () {
+      const res = paginated([4, 5, 6], {
+        page: 2,
+        pageSize: 3,
+        total: 7,
+        url: '/items?sort=name'
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.data, [4, 5, 6]);
+      assert.deepEqual(res.meta, {
+        page: 2,
+        pageSize: 3,
+        count: 3,
+        total: 7,
+        totalPages: 3
+      });
+      assert.deepEqual(res.links, {
+        self: '/items?sort=name&page=2&pageSize=3',
+        first: '/items?sort=name&page=1&pageSize=3',
+        prev: '/items?sort=name&page=1&pageSize=3',
+        next: '/items?sort=name&page=3&pageSize=3',
+        last: '/items?sort=name&page=3&pageSize=3'
+      });
+      assert.equal(
+        res.headers.Link,
+        '</items?sort=name&page=1&pageSize=3>; rel="first", ' +
+          '</items?sort=name&page=1&pageSize=3>; rel="prev", ' +
+          '</items?sort=name&page=3&pageSize=3>; rel="next", ' +
+          '</items?sort=name&page=3&pageSize=3>; rel="last"'
+      );
+    });
+
+    it('guesses the next page from a full page without total', function () {
+      const full = paginated([1, 2], { pageSize: 2, url: 'https://a.test/x' });
+      assert.equal(full.links.next, 'https://a.test/x?page=2&pageSize=2');
+      assert.equal(full.links.last, null);
+      const short = paginated([1], { pageSize: 2, url: '/x' });
+      assert.equal(short.links.next, null);
+    });
+
+    it('leaves links out without url', function () {
+      const res = paginated([], { pageSize: 10 });
+      assert.equal(res.links, undefined);
+      assert.equal(res.headers, undefined);
+    });
+
+    it('rejects invalid input', function () {
+      assert.throws(() => paginated('x', { pageSize: 1 }), TypeError);
+      assert.throws(() => paginated([], {}), TypeError);
+      assert.throws(() => paginated([], { pageSize: 1, page: 0 }), TypeError);
+    });
+  });
+
+  describe('cursorPaginated()', function () {
+    it('links the neighbouring cursors', function () {
+      const res = cursorPaginated([1, 2], {
+        cursor: 'b',
+        nextCursor: 'c',
+        prevCursor: 'a',
+        limit: 2,
+        url: '/events?cursor=old'
+      });
+      assert.deepEqual(res.meta, {
+        cursor: 'b',
+        nextCursor: 'c',
+        prevCursor: 'a',
+        limit: 2,
+        count: 2,
+        hasMore: true
+      });
+      assert.deepEqual(res.links, {
+        self: '/events?cursor=b&limit=2',
+        first: '/events?limit=2',
+        prev: '/events?cursor=a&limit=2',
+        next: '/events?cursor=c&limit=2'
+      });
+    });
+
+    it('marks the last page', function () {
+      const res = cursorPaginated([1], { cursor: 'z' });
+      assert.equal(res.meta.hasMore, false);
+    });
+  });
+
+  describe('ranged()', function () {
+    it('answers 206 with Content-Range for part of the collection', function () {
+      const res = ranged([11, 12], { start: 10, total: 25, url: '/items' });
+      assert.equal(res.status, 206);
+      assert.equal(res.headers['Content-Range'], 'items 10-11/25');
+      assert.deepEqual(res.meta, { start: 10, end: 11, count: 2, total: 25 });
+      assert.equal(res.links.next, '/items?offset=12&limit=2');
+      assert.equal(res.links.prev, '/items?offset=8&limit=2');
+      assert.equal(res.links.last, '/items?offset=24&limit=2');
+    });
+
+    it('sends * for an unknown total', function () {
+      const res = ranged([1], { unit: 'bytes' });
+      assert.equal(res.headers['Content-Range'], 'bytes 0-0/*');
+    });
+
+    it('answers 200 when the range covers the collection', function () {
+      assert.equal(ranged([1, 2], { total: 2 }).status, 200);
+      assert.equal(ranged([]).status, 200);
+    });
+
+    it('answers 416 past the end', function () {
+      const res = ranged([], { start: 30, total: 25 });
+      assert.equal(res.status, 416);
+      assert.equal(res.headers['Content-Range'], 'items */25');
+    });
+  });
+});
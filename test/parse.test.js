@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import {
+  fromResponse,
+  notFound,
+  send,
+  unprocessableContent,
+  withOptions
+} from '../index.js';
+import { listen } from './server.js';
+
+//! The IncomingMessage of a GET, body left unread
+const get = function (url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, resolve).on('error', reject);
+  });
+};
+
+describe('fromResponse()', function () {
+  let server;
+
+  before(async function () {
+    server = await listen((req, res) => {
+      if (req.url === '/envelope') {
+        return send(res, notFound('User missing', { id: 7 }));
+      }
+      if (req.url === '/problem') {
+        return send(
+          res,
+          unprocessableContent(
+            withOptions({
+              format: 'problem',
+              message: 'Invalid body',
+              instance: '/orders'
+            })
+          )
+        );
+      }
+      if (req.url === '/html') {
+        res.writeHead(502, { 'Content-Type': 'text/html' });
+        return res.end('<h1>Bad gateway</h1>');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end('[1,2]');
+    });
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  it('reads our envelope from a fetch Response', async function () {
+    const parsed = await fromResponse(await fetch(`${server.url}/envelope`));
+    assert.deepEqual(parsed, {
+      status: 404,
+      message: 'User missing',
+      data: { id: 7 }
+    });
+  });
+
+  it('reads our envelope from an IncomingMessage', async function () {
+    const parsed = await fromResponse(await get(`${server.url}/envelope`));
+    assert.deepEqual(parsed, {
+      status: 404,
+      message: 'User missing',
+      data: { id: 7 }
+    });
+  });
+
+  it('takes the message of Problem Details from detail', async function () {
+    const parsed = await fromResponse(await get(`${server.url}/problem`));
+    assert.equal(parsed.status, 422);
+    assert.equal(parsed.message, 'Invalid body');
+    assert.equal(parsed.data.instance, '/orders');
+    assert.equal(parsed.data.title, undefined);
+  });
+
+  it('keeps other bodies as data with the reason phrase', async function () {
+    const html = await fromResponse(await fetch(`${server.url}/html`));
+    assert.deepEqual(html, {
+      status: 502,
+      message: 'Bad Gateway',
+      data: '<h1>Bad gateway</h1>'
+    });
+    const json = await fromResponse(await get(`${server.url}/list`));
+    assert.deepEqual(json, { status: 200, message: 'OK', data: [1, 2] });
+  });
+
+  it('takes the status from the transport, not the body', async function () {
+    const parsed = await fromResponse(200, '{"status":500,"data":{"a":1}}');
+    assert.equal(parsed.status, 200);
+    assert.deepEqual(parsed.data, { a: 1 });
+  });
+
+  it('accepts { status, headers, body }', async function () {
+    const parsed = await fromResponse({
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: Buffer.from('{"error":"bad"}')
+    });
+    assert.deepEqual(parsed, {
+      status: 400,
+      message: 'Bad Request',
+      data: { error: 'bad' }
+    });
+  });
+
+  it('rejects input without a status', async function () {
+    await assert.rejects(fromResponse({ body: '' }), TypeError);
+    await assert.rejects(fromResponse('nope'), TypeError);
+  });
+});
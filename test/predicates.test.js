@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+
+import {
+  createResponser,
+  httpErrors,
+  isClientError,
+  isInformational,
+  isRedirect,
+  isRetryable,
+  isServerError,
+  isSuccess,
+  notFound,
+  withOptions
+} from '../index.js';
+
+describe('status predicates', function () {
+  it('classify status codes', function () {
+    assert.ok(isInformational(100));
+    assert.ok(isSuccess(204));
+    assert.ok(isRedirect(308));
+    assert.ok(isClientError(499));
+    assert.ok(isServerError(500));
+    assert.ok(!isSuccess(300));
+    assert.ok(!isServerError(600));
+    assert.ok(!isSuccess('200'));
+    assert.ok(!isSuccess(undefined));
+  });
+
+  it('read envelopes, Problem Details, shaped envelopes and HttpErrors', function () {
+    const api = createResponser({ keys: { status: 'code' } });
+    [
+      notFound(),
+      notFound(withOptions({ format: 'problem' })),
+      api.notFound(),
+      httpErrors.notFound()
+    ].forEach((value) => {
+      assert.ok(isClientError(value));
+      assert.ok(!isServerError(value));
+    });
+  });
+
+  it('tell retryable statuses from the registry', function () {
+    [408, 429, 502, 503, 504, 460].forEach((status) => {
+      assert.ok(isRetryable(status), String(status));
+    });
+    [400, 404, 500, 501, 299].forEach((status) => {
+      assert.ok(!isRetryable(status), String(status));
+    });
+    assert.ok(isRetryable(httpErrors.tooManyRequests()));
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+
+import {
+  configure,
+  created,
+  notFound,
+  problemContentType,
+  toProblem,
+  withOptions
+} from '../index.js';
+
+describe('Problem Details', function () {
+  afterEach(function () {
+    configure({ format: 'envelope' });
+  });
+
+  it('maps 4xx/5xx envelopes with format: problem', function () {
+    const problem = notFound(
+      withOptions({
+        format: 'problem',
+        message: 'User 7 does not exist',
+        data: { id: 7 },
+        type: 'https://api.test/problems/missing',
+        instance: '/users/7'
+      })
+    );
+    assert.deepEqual(problem, {
+      type: 'https://api.test/problems/missing',
+      title: 'Not Found',
+      status: 404,
+      detail: 'User 7 does not exist',
+      instance: '/users/7',
+      id: 7
+    });
+  });
+
+  it('leaves out a detail repeating the title', function () {
+    const problem = notFound(withOptions({ format: 'problem' }));
+    assert.deepEqual(problem, {
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404
+    });
+  });
+
+  it('keeps 1xx-3xx envelopes as they are', function () {
+    configure({ format: 'problem' });
+    assert.deepEqual(created({ id: 1 }), {
+      status: 201,
+      message: 'Created',
+      data: { id: 1 }
+    });
+    assert.equal(notFound().type, 'about:blank');
+  });
+
+  it('never lets extensions override the standard members', function () {
+    const problem = toProblem(
+      { status: 400, message: 'Bad', data: { status: 200, title: 'x' } },
+      { extensions: { type: 'y', code: 'E1' } }
+    );
+    assert.equal(problem.status, 400);
+    assert.equal(problem.title, 'Bad Request');
+    assert.equal(problem.type, 'about:blank');
+    assert.equal(problem.code, 'E1');
+  });
+
+  it('keeps non-object data under data', function () {
+    const problem = toProblem({ status: 409, data: ['a'] });
+    assert.deepEqual(problem.data, ['a']);
+  });
+
+  it('names the problem media type', function () {
+    assert.equal(problemContentType, 'application/problem+json');
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+
+import {
+  badRequest,
+  created,
+  found,
+  notFound,
+  response,
+  success,
+  withOptions
+} from '../index.js';
+
+describe('response() and the helpers', function () {
+  it('builds { status, message, data }', function () {
+    assert.deepEqual(notFound('User missing', { id: 7 }), {
+      status: 404,
+      message: 'User missing',
+      data: { id: 7 }
+    });
+    assert.deepEqual(response(418, 'Short and stout'), {
+      status: 418,
+      message: 'Short and stout',
+      data: {}
+    });
+  });
+
+  it('takes a plain first argument as data', function () {
+    assert.deepEqual(created({ id: 42 }), {
+      status: 201,
+      message: 'Created',
+      data: { id: 42 }
+    });
+  });
+
+  it('takes a plain object holding any other key as data', function () {
+    const place = success({ name: 'Ada', location: 'Paris' });
+    assert.equal(place.headers, undefined);
+    assert.deepEqual(place.data, { name: 'Ada', location: 'Paris' });
+    assert.deepEqual(success({ size: 'XL', sku: 'T1' }).data, {
+      size: 'XL',
+      sku: 'T1'
+    });
+  });
+
+  it('reads a plain object holding only option keys as the options', function () {
+    assert.deepEqual(notFound({ message: 'User missing', data: { id: 7 } }), {
+      status: 404,
+      message: 'User missing',
+      data: { id: 7 }
+    });
+    const book = created(undefined, { title: 'Dune' });
+    assert.deepEqual(book.data, { title: 'Dune' });
+    assert.equal(created({ title: 'Dune' }).message, 'Created');
+  });
+
+  it('reads options marked by withOptions()', function () {
+    const res = created(
+      withOptions({ message: 'Saved', data: { id: 1 }, location: '/users/1' })
+    );
+    assert.deepEqual(res, {
+      status: 201,
+      message: 'Saved',
+      data: { id: 1 },
+      headers: { Location: '/users/1' }
+    });
+  });
+
+  it('rejects withOptions() of anything but a plain object', function () {
+    assert.throws(() => withOptions('x'), TypeError);
+    assert.throws(() => withOptions([]), TypeError);
+  });
+
+  it('takes the message of an Error', function () {
+    assert.equal(badRequest(new Error('Bad input')).message, 'Bad input');
+  });
+
+  it('prefers positional arguments over options', function () {
+    const res = notFound('Positional', undefined, undefined, {
+      message: 'Option',
+      data: { from: 'options' }
+    });
+    assert.equal(res.message, 'Positional');
+    assert.deepEqual(res.data, { from: 'options' });
+  });
+
+  it('sends the redirect target as Location', function () {
+    assert.deepEqual(found('/login').headers, { Location: '/login' });
+    assert.deepEqual(
+      found(withOptions({ location: '/home', message: 'Moved' })),
+      {
+        status: 302,
+        message: 'Moved',
+        data: {},
+        headers: { Location: '/home' }
+      }
+    );
+  });
+
+  it('adds meta and links next to data', function () {
+    const res = success(
+      withOptions({
+        data: [1],
+        meta: { total: 1 },
+        links: { self: '/items' }
+      })
+    );
+    assert.deepEqual(res.meta, { total: 1 });
+    assert.deepEqual(res.links, { self: '/items' });
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+
+import {
+  createResponser,
+  isClientError,
+  notFound,
+  withOptions
+} from '../index.js';
+
+describe('createResponser()', function () {
+  it('renames the envelope keys', function () {
+    const api = createResponser({ keys: { status: 'code', data: 'result' } });
+    assert.deepEqual(api.notFound('Missing', { id: 1 }), {
+      code: 404,
+      message: 'Missing',
+      result: { id: 1 }
+    });
+  });
+
+  it('adds success and timestamp', function () {
+    const api = createResponser({
+      success: true,
+      timestamp: () => '2026-10-19T10:00:00.000Z'
+    });
+    assert.deepEqual(api.created({ id: 1 }), {
+      status: 201,
+      success: true,
+      message: 'Created',
+      data: { id: 1 },
+      timestamp: '2026-10-19T10:00:00.000Z'
+    });
+    assert.equal(api.badRequest().success, false);
+    const now = createResponser({ timestamp: true }).success().timestamp;
+    assert.ok(!Number.isNaN(Date.parse(now)));
+  });
+
+  it('passes the request to requestId and path', function () {
+    const api = createResponser({
+      requestId: (req) => req.headers['x-request-id'],
+      path: '/static'
+    });
+    const req = { headers: { 'x-request-id': 'abc' } };
+    assert.deepEqual(api.shape(api.response(200), req), {
+      status: 200,
+      message: 'OK',
+      data: {},
+      requestId: 'abc',
+      path: '/static'
+    });
+    assert.equal('requestId' in api.success(), false);
+    assert.equal(api.notFound().path, '/static');
+    assert.equal(api.shape(notFound(), req).requestId, 'abc');
+  });
+
+  it('handles empty data', function () {
+    const asNull = createResponser({ emptyData: 'null' });
+    const omitted = createResponser({ emptyData: 'omit' });
+    assert.equal(asNull.success().data, null);
+    assert.equal('data' in omitted.success(), false);
+    assert.deepEqual(omitted.success(undefined, [1]).data, [1]);
+  });
+
+  it('keeps headers and runs transform last', function () {
+    const api = createResponser({
+      keys: { status: 'code' },
+      transform: (envelope, original) => ({
+        ...envelope,
+        version: 2,
+        original: original.status
+      })
+    });
+    const res = api.found('/next');
+    assert.equal(res.version, 2);
+    assert.equal(res.original, 302);
+    assert.deepEqual(res.headers, { Location: '/next' });
+  });
+
+  it('keeps the status for the predicates and adapters', function () {
+    const api = createResponser({ keys: { status: 'code' } });
+    assert.ok(isClientError(api.notFound()));
+  });
+
+  it('only transforms Problem Details', function () {
+    const api = createResponser({ keys: { status: 'code' }, success: true });
+    const problem = api.notFound(withOptions({ format: 'problem' }));
+    assert.equal(problem.status, 404);
+    assert.equal(problem.title, 'Not Found');
+    assert.equal('success' in problem, false);
+  });
+});
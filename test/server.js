@@ -0,0 +1,51 @@
+/*
+ * Author(s): Nikoloz Muladze
+ * Date Created: 19/10/2026
+ * Description: Throwaway node:http servers for the tests that need a real socket
+ */
+
+import http from 'node:http';
+
+//! Serves handler on a free local port, resolves { url, close }
+const listen = function (handler) {
+  const server = http.createServer(handler);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () =>
+          new Promise((resolve) => {
+            server.closeAllConnections?.();
+            server.close(resolve);
+          })
+      });
+    });
+  });
+};
+
+//! Raw request keeping the 1xx responses, resolves { status, headers, body, interim }
+const request = function (url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const interim = [];
+    const req = http.request(url, options, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body,
+          interim
+        });
+      });
+    });
+    req.on('information', (info) => interim.push(info.statusCode));
+    req.on('error', reject);
+    req.end(options.body);
+  });
+};
+
+export { listen, request };
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+
+import { configure, error } from '../index.js';
+
+describe('stack policy', function () {
+  let logger;
+  let environment;
+
+  beforeEach(function () {
+    logger = configure().logger;
+    environment = process.env.NODE_ENV;
+  });
+
+  afterEach(function () {
+    configure({ stack: null, logger });
+    if (environment === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = environment;
+  });
+
+  it('includes the stack with include', function () {
+    configure({ stack: 'include' });
+    const err = new Error('boom');
+    assert.equal(error(undefined, undefined, err).stack, err.stack);
+  });
+
+  it('drops the stack with omit', function () {
+    configure({ stack: 'omit' });
+    const res = error(undefined, undefined, new Error('boom'));
+    assert.equal('stack' in res, false);
+    assert.equal('errorId' in res, false);
+  });
+
+  it('logs the stack under an errorId with redact', function () {
+    const logged = [];
+    configure({
+      stack: 'redact',
+      logger: (errorId, stack) => logged.push({ errorId, stack })
+    });
+    const res = error(undefined, undefined, 'trace');
+    assert.equal('stack' in res, false);
+    assert.match(res.errorId, /^[\da-f-]{36}$/);
+    assert.deepEqual(logged, [{ errorId: res.errorId, stack: 'trace' }]);
+  });
+
+  it('includes the stack only in development by default', function () {
+    process.env.NODE_ENV = 'development';
+    assert.equal(error(undefined, undefined, 'trace').stack, 'trace');
+    process.env.NODE_ENV = 'production';
+    assert.equal(error(undefined, undefined, 'trace').stack, undefined);
+  });
+
+  it('rejects unknown policies', function () {
+    assert.throws(() => configure({ stack: 'print' }), TypeError);
+  });
+});
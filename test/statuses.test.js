@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+
+import httpresponser, { getStatus, statuses } from '../index.js';
+
+describe('status registry', function () {
+  it('looks statuses up by code, numeric string and name', function () {
+    const entry = getStatus(404);
+    assert.equal(entry.name, 'notFound');
+    assert.equal(entry.phrase, 'Not Found');
+    assert.equal(entry.class, 'clientError');
+    assert.equal(entry.kind, 'standard');
+    assert.equal(getStatus('404'), entry);
+    assert.equal(getStatus('notFound'), entry);
+  });
+
+  it('returns undefined for unknown statuses', function () {
+    assert.equal(getStatus(299), undefined);
+    assert.equal(getStatus('nope'), undefined);
+    assert.equal(getStatus('4044'), undefined);
+    assert.equal(getStatus(null), undefined);
+  });
+
+  it('keeps frozen entries with a class', function () {
+    statuses.forEach((entry) => {
+      assert.ok(Object.isFrozen(entry), entry.name);
+      assert.equal(typeof entry.retryable, 'boolean');
+      assert.ok(entry.class, entry.name);
+    });
+  });
+
+  it('has a helper for every standard and WebDAV status', function () {
+    statuses
+      .filter(({ kind }) => kind === 'standard' || kind === 'webdav')
+      .forEach(({ code, name }) => {
+        assert.equal(typeof httpresponser[name], 'function', name);
+        const required = { location: '/', allow: ['GET'] };
+        assert.equal(httpresponser[name](required).status, code, name);
+      });
+  });
+
+  it('includes the AWS ELB codes', function () {
+    assert.equal(getStatus(460).kind, 'elb');
+    assert.equal(getStatus('http561').code, 561);
+  });
+});
@@ -0,0 +1,7 @@
+import httpresponser = require('httpresponser');
+
+const missing: 404 = httpresponser.notFound().status;
+const { created } = httpresponser;
+const id: number = created('Created', { id: 1 }).data.id;
+
+export { missing, id };
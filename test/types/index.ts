@@ -0,0 +1,121 @@
+import type { IncomingMessage, ServerResponse } from 'node:http';
+
+import httpresponser, {
+  type ClientErrorStatus,
+  type Response,
+  badRequest,
+  conditional,
+  configure,
+  createJobs,
+  createMultiStatus,
+  createResponser,
+  created,
+  fromResponse,
+  found,
+  httpErrors,
+  methodNotAllowed,
+  notFound,
+  openApiComponents,
+  paginated,
+  registerStatus,
+  send,
+  serialize,
+  toWebResponse,
+  tooManyRequests,
+  unprocessableContent,
+  validationErrors,
+  withLocale,
+  withOptions
+} from 'httpresponser';
+
+declare const req: IncomingMessage;
+declare const res: ServerResponse;
+
+// Status literals and data types
+const missing: Response<404> = notFound();
+// @ts-expect-error a 404 is not a 200
+const ok: Response<200> = notFound();
+const status: ClientErrorStatus = missing.status;
+const createdId: number = created('Created', { id: 1 }).data.id;
+const plainId: number = created({ id: 42 }).data.id;
+const errorStatus: 500 = httpresponser.error(new Error('Boom')).status;
+
+// Options, plain or marked by withOptions()
+const limited: 429 = tooManyRequests({ retryAfter: 30 }).status;
+const titled: string = badRequest(withOptions({ format: 'problem' })).title;
+const localized: 404 = notFound({
+  key: 'user.missing',
+  params: { id: 7 }
+}).status;
+const pointer: string | undefined = unprocessableContent({
+  errors: validationErrors().add('email', 'format', 'Invalid email')
+}).errors?.[0].pointer;
+
+// Required headers
+found('/login');
+found({ location: '/login' });
+// @ts-expect-error a redirect needs its target
+found();
+const notAllowed: 405 = methodNotAllowed({ allow: ['GET'] }).status;
+// @ts-expect-error a 405 needs options.allow
+methodNotAllowed();
+httpErrors.methodNotAllowed({ allow: 'GET' });
+// @ts-expect-error a 405 HttpError needs options.allow
+httpErrors.methodNotAllowed('Read only');
+configure({ authenticate: 'Basic realm="api"', locale: 'de' });
+
+// Errors and custom statuses
+const thrown: 404 = httpErrors.notFound('User missing', { id: 7 }).status;
+const frozen: 530 = registerStatus({
+  code: 530,
+  name: 'siteFrozen',
+  phrase: 'Site Frozen'
+})().status;
+
+// Envelopes, collections and adapters
+createResponser({ path: (request) => request.url });
+const firstId: number = paginated([{ id: 1 }], { pageSize: 10, total: 1 })
+  .data[0].id;
+const xml: string = createMultiStatus().status('/a', 423).toXML();
+const html: string = serialize(notFound(), 'text/html').body;
+const web: globalThis.Response = toWebResponse(notFound());
+const revalidated = conditional(req, { id: 1 });
+if (revalidated.status === 200) {
+  const revalidatedId: number = revalidated.data.id;
+}
+send(res, missing);
+const language: string | undefined = withLocale('fr', () => notFound().message);
+const components: Record<string, unknown> = openApiComponents({
+  codes: ['notFound']
+}).responses;
+
+const upstream = async function () {
+  const parsed = await fromResponse<{ id: number }>(await fetch('http://x'));
+  const upstreamId: number = parsed.data.id;
+  const jobs = createJobs({ url: (jobId) => `/jobs/${jobId}` });
+  const accepted = await jobs.run(async ({ id }) => `/exports/${id}`);
+  const jobId: string = accepted.data.id;
+  return [upstreamId, jobId];
+};
+
+export {
+  ok,
+  status,
+  createdId,
+  plainId,
+  errorStatus,
+  limited,
+  titled,
+  localized,
+  pointer,
+  notAllowed,
+  thrown,
+  frozen,
+  firstId,
+  xml,
+  html,
+  web,
+  language,
+  components,
+  upstream
+};
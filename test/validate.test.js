@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+
+import { configure, response, success } from '../index.js';
+
+describe('strict mode', function () {
+  afterEach(function () {
+    configure({ strict: true });
+  });
+
+  it('rejects statuses that are not integers', function () {
+    assert.throws(() => response('200'), {
+      name: 'TypeError',
+      message: 'status must be an integer, got string 200'
+    });
+    assert.throws(() => response(200.5), TypeError);
+  });
+
+  it('rejects unregistered statuses outside 100-599', function () {
+    assert.throws(() => response(99), RangeError);
+    assert.throws(() => response(600), RangeError);
+    assert.doesNotThrow(() => response(599));
+  });
+
+  it('rejects messages that are not strings', function () {
+    assert.throws(() => response(200, 42), {
+      name: 'TypeError',
+      message: 'message must be a string, got number'
+    });
+  });
+
+  it('rejects data JSON cannot represent', function () {
+    const circular = { a: [] };
+    circular.a.push(circular);
+    [
+      [{ fn() {} }, 'data.fn is not serializable: found a function'],
+      [
+        { list: [1, Symbol('x')] },
+        'data.list[1] is not serializable: found a symbol'
+      ],
+      [{ n: 1n }, 'data.n is not serializable: found a bigint'],
+      [circular, 'data.a[0] is not serializable: circular reference'],
+      [{ m: new Map([['a', 1]]) }, 'data.m is not serializable: found a Map'],
+      [[new Set([1])], 'data[0] is not serializable: found a Set'],
+      [{ n: NaN }, 'data.n is not serializable: found NaN'],
+      [{ n: [Infinity] }, 'data.n[0] is not serializable: found Infinity'],
+      [-Infinity, 'data is not serializable: found -Infinity']
+    ].forEach(([data, message]) => {
+      assert.throws(() => success(undefined, data), { message });
+    });
+  });
+
+  it('accepts objects with toJSON and repeated references', function () {
+    const shared = { id: 1 };
+    assert.doesNotThrow(() =>
+      success(undefined, { at: new Date(), a: shared, b: shared })
+    );
+  });
+
+  it('can be switched off', function () {
+    configure({ strict: false });
+    assert.equal(response(700, 42).status, 700);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+
+import {
+  ValidationErrors,
+  fromAjv,
+  fromJoi,
+  fromZod,
+  unprocessableContent,
+  validationErrors,
+  withOptions
+} from '../index.js';
+
+describe('validation errors', function () {
+  it('collects fields, pointers and array paths alike', function () {
+    const errors = validationErrors()
+      .add('items[0].name', 'required', 'Name is required')
+      .add('/address/zip~1code', 'pattern')
+      .add({ path: ['tags', 2], code: 'type', message: 'Not a string' });
+    assert.ok(errors instanceof ValidationErrors);
+    assert.equal(errors.length, 3);
+    assert.deepEqual(errors.toArray(), [
+      {
+        field: 'items.0.name',
+        pointer: '/items/0/name',
+        code: 'required',
+        message: 'Name is required'
+      },
+      {
+        field: 'address.zip/code',
+        pointer: '/address/zip~1code',
+        code: 'pattern',
+        message: undefined
+      },
+      {
+        field: 'tags.2',
+        pointer: '/tags/2',
+        code: 'type',
+        message: 'Not a string'
+      }
+    ]);
+  });
+
+  it('merges builders and arrays', function () {
+    const errors = validationErrors([{ field: 'a', code: 'x' }]);
+    errors.merge(validationErrors([{ field: 'b' }])).merge([{ pointer: '/c' }]);
+    assert.deepEqual(
+      errors.toArray().map(({ field }) => field),
+      ['a', 'b', 'c']
+    );
+    assert.ok(!errors.isEmpty());
+    assert.ok(validationErrors().isEmpty());
+  });
+
+  it('goes into the envelope with options.errors', function () {
+    const errors = validationErrors().add('email', 'format', 'Invalid email');
+    const res = unprocessableContent({ errors });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.errors, errors.toArray());
+    assert.deepEqual(
+      unprocessableContent({ errors: [{ field: 'a' }] }).errors,
+      [{ field: 'a', pointer: '/a', code: undefined, message: undefined }]
+    );
+    assert.throws(
+      () => unprocessableContent(withOptions({ errors: 'bad' })),
+      TypeError
+    );
+  });
+
+  it('converts Joi, Zod and Ajv errors', function () {
+    const joi = fromJoi({
+      details: [{ path: ['user', 'age'], type: 'number.base', message: 'm' }]
+    });
+    assert.equal(joi.toArray()[0].field, 'user.age');
+    assert.equal(joi.toArray()[0].code, 'number.base');
+
+    const zod = fromZod({
+      issues: [{ path: ['items', 0], code: 'too_small', message: 'm' }]
+    });
+    assert.equal(zod.toArray()[0].pointer, '/items/0');
+
+    const ajv = fromAjv([
+      {
+        instancePath: '/user',
+        keyword: 'required',
+        params: { missingProperty: 'name' },
+        message: "must have required property 'name'"
+      },
+      { dataPath: '.age', keyword: 'type', message: 'must be integer' }
+    ]);
+    assert.deepEqual(
+      ajv.toArray().map(({ field, code }) => [field, code]),
+      [
+        ['user.name', 'required'],
+        ['age', 'type']
+      ]
+    );
+  });
+
+  it('rejects what the adapters cannot read', function () {
+    assert.throws(() => fromJoi(new Error('x')), TypeError);
+    assert.throws(() => fromZod({}), TypeError);
+    assert.throws(() => fromAjv(null), TypeError);
+  });
+});
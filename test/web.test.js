@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+
+import {
+  continueResponse,
+  created,
+  createResponser,
+  forbidden,
+  noContent,
+  notFound,
+  resetContent,
+  success,
+  switchingProtocols,
+  toWebResponse,
+  withOptions
+} from '../index.js';
+
+describe('toWebResponse()', function () {
+  it('returns a Response with the status, headers and JSON body', async function () {
+    const res = toWebResponse(
+      created(withOptions({ data: { id: 42 }, location: '/users/42' }))
+    );
+    assert.ok(res instanceof Response);
+    assert.equal(res.status, 201);
+    assert.equal(res.headers.get('location'), '/users/42');
+    assert.equal(
+      res.headers.get('content-type'),
+      'application/json; charset=utf-8'
+    );
+    assert.deepEqual(await res.json(), {
+      status: 201,
+      message: 'Created',
+      data: { id: 42 }
+    });
+  });
+
+  it('appends array header values', function () {
+    const res = toWebResponse(
+      success(withOptions({ headers: { 'Set-Cookie': ['a=1', 'b=2'] } }))
+    );
+    assert.equal(res.headers.get('set-cookie'), 'a=1, b=2');
+  });
+
+  it('sends Problem Details as application/problem+json', async function () {
+    const res = toWebResponse(forbidden(withOptions({ format: 'problem' })));
+    assert.equal(res.headers.get('content-type'), 'application/problem+json');
+    assert.equal((await res.json()).title, 'Forbidden');
+  });
+
+  it('returns a null body for 204 and 205 without Content-Type', function () {
+    [noContent(), resetContent()].forEach((envelope) => {
+      const res = toWebResponse(envelope);
+      assert.equal(res.status, envelope.status);
+      assert.equal(res.body, null);
+      assert.equal(res.headers.get('content-type'), null);
+    });
+  });
+
+  it('returns a null body for HEAD requests', function () {
+    const res = toWebResponse(notFound(), { method: 'HEAD' });
+    assert.equal(res.status, 404);
+    assert.equal(res.body, null);
+  });
+
+  it('negotiates the format and the page language', async function () {
+    const res = toWebResponse(notFound(), {
+      accept: 'text/html',
+      locale: 'it'
+    });
+    assert.match(res.headers.get('content-type'), /^text\/html/);
+    assert.equal(res.headers.get('vary'), 'Accept');
+    assert.match(await res.text(), /<html lang="it">/);
+  });
+
+  it('uses the status kept by a createResponser() shape', async function () {
+    const api = createResponser({ keys: { status: 'code' } });
+    const res = toWebResponse(api.notFound());
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).code, 404);
+  });
+
+  it('throws a RangeError for interim statuses', function () {
+    assert.throws(() => toWebResponse(continueResponse()), {
+      name: 'RangeError',
+      message: '100 cannot be sent as a Fetch Response'
+    });
+  });
+
+  it('explains a 101 the runtime rejects', function () {
+    let accepted;
+    try {
+      accepted = new Response(null, { status: 101 });
+    } catch {
+      // Node and most runtimes reject it
+    }
+    if (accepted) this.skip();
+    assert.throws(() => toWebResponse(switchingProtocols()), {
+      name: 'RangeError',
+      message: /^101 cannot be sent as a Fetch Response on this runtime/
+    });
+  });
+});
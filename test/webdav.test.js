@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+
+import { MultiStatus, createMultiStatus } from '../index.js';
+import { listen, request } from './server.js';
+
+describe('Multi-Status', function () {
+  it('groups the properties of a resource by status', function () {
+    const multi = createMultiStatus({ namespaces: { Z: 'urn:example' } })
+      .propstat('/file', { getetag: '"1"' })
+      .propstat('/file', { displayname: 'File' })
+      .propstat('/file', { 'Z:secret': null }, 403);
+    assert.ok(multi instanceof MultiStatus);
+    assert.deepEqual(multi.toJSON(), {
+      responses: [
+        {
+          href: '/file',
+          propstat: [
+            { prop: { getetag: '"1"', displayname: 'File' }, status: 200 },
+            { prop: { 'Z:secret': null }, status: 403 }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('serializes to DAV: XML with escaped values', function () {
+    const xml = createMultiStatus({
+      namespaces: { Z: 'urn:example' },
+      description: 'Partly done'
+    })
+      .propstat('/a&b', { displayname: '<A>', 'Z:tags': ['x', 'y'] })
+      .status(['/c', '/d'], 423, {
+        error: { 'lock-token-submitted': { href: '/c' } }
+      })
+      .alreadyReported('/e')
+      .toXML();
+    assert.equal(
+      xml,
+      '<?xml version="1.0" encoding="utf-8"?>' +
+        '<D:multistatus xmlns:D="DAV:" xmlns:Z="urn:example">' +
+        '<D:response><D:href>/a&amp;b</D:href><D:propstat><D:prop>' +
+        '<D:displayname>&lt;A&gt;</D:displayname>' +
+        '<Z:tags>x</Z:tags><Z:tags>y</Z:tags>' +
+        '</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>' +
+        '<D:response><D:href>/c</D:href><D:href>/d</D:href>' +
+        '<D:status>HTTP/1.1 423 Locked</D:status>' +
+        '<D:error><D:lock-token-submitted><D:href>/c</D:href>' +
+        '</D:lock-token-submitted></D:error></D:response>' +
+        '<D:response><D:href>/e</D:href>' +
+        '<D:status>HTTP/1.1 208 Already Reported</D:status></D:response>' +
+        '<D:responsedescription>Partly done</D:responsedescription>' +
+        '</D:multistatus>'
+    );
+  });
+
+  it('gives child elements the prefix of their parent', function () {
+    const xml = createMultiStatus({ namespaces: { Z: 'urn:example' } })
+      .propstat('/a', {
+        'Z:owner': { name: 'Ada', 'D:href': '/users/ada' },
+        lockdiscovery: { 'Z:note': 'x' }
+      })
+      .toXML();
+    assert.ok(
+      xml.includes(
+        '<Z:owner><Z:name>Ada</Z:name><D:href>/users/ada</D:href></Z:owner>' +
+          '<D:lockdiscovery><Z:note>x</Z:note></D:lockdiscovery>'
+      ),
+      xml
+    );
+  });
+
+  it('rejects undeclared namespace prefixes', function () {
+    const multi = createMultiStatus({ namespaces: { Z: 'urn:example' } });
+    assert.throws(() => multi.propstat('/a', { 'Q:x': 1 }), TypeError);
+    assert.throws(
+      () => multi.propstat('/a', { 'Z:owner': { 'Q:name': 'Ada' } }),
+      TypeError
+    );
+    assert.throws(
+      () => multi.status('/a', 423, { error: { 'Q:x': null } }),
+      TypeError
+    );
+    assert.throws(() => createMultiStatus({ namespaces: { 1: 'x' } }));
+  });
+
+  it('rejects invalid input', function () {
+    const multi = createMultiStatus();
+    assert.throws(() => multi.status('', 200), TypeError);
+    assert.throws(() => multi.status('/a', 700), RangeError);
+    assert.throws(() => multi.propstat('/a', 'x'), TypeError);
+    ['a:b:c', '1a', ':x', 'x:', 'a b'].forEach((name) => {
+      assert.throws(() => multi.propstat('/a', { [name]: 1 }), TypeError);
+    });
+  });
+
+  it('returns the 207 envelope with the JSON form as data', function () {
+    const multi = createMultiStatus().status('/a', 204);
+    const res = multi.toResponse();
+    assert.equal(res.status, 207);
+    assert.deepEqual(res.data, multi.toJSON());
+  });
+
+  it('sends the XML body on node:http', async function () {
+    const multi = createMultiStatus().status('/a', 404);
+    const server = await listen((req, res) => multi.send(res));
+    try {
+      const res = await request(server.url);
+      assert.equal(res.status, 207);
+      assert.equal(
+        res.headers['content-type'],
+        'application/xml; charset=utf-8'
+      );
+      assert.equal(res.body, multi.toXML());
+    } finally {
+      await server.close();
+    }
+  });
+});